@@ -342,6 +342,2213 @@ class CanvasMakerReactTest {
                 throw new Error('Automated test sequence did not complete successfully');
             }
         });
+
+        // Test 10: Undo/redo restores removed HTML components with their content
+        await this.test('Undo and redo HTML component removal', async () => {
+            const result = await this.page.evaluate(() => {
+                const canvasMaker = window.testAPI.getCanvasMaker();
+                const html = '<div class="undo-probe">Undo probe</div>';
+                const shape = canvasMaker.addReactComponentWithHTML(0, 0, 200, 100, html);
+                canvasMaker.removeReactComponent(shape.id);
+
+                const findShape = () => canvasMaker.activeCanvasContext.shapes.find(s => s.id === shape.id);
+                const afterRemove = !!findShape();
+                canvasMaker.undo();
+                const restored = findShape();
+                canvasMaker.redo();
+                const afterRedo = !!findShape();
+
+                return {
+                    afterRemove,
+                    restoredContent: restored ? restored.htmlContent : null,
+                    afterRedo,
+                    canUndo: canvasMaker.canUndo()
+                };
+            });
+
+            if (result.afterRemove) {
+                throw new Error('Component still present after removal');
+            }
+            if (result.restoredContent !== '<div class="undo-probe">Undo probe</div>') {
+                throw new Error('Undo did not restore the component with its htmlContent');
+            }
+            if (result.afterRedo || !result.canUndo) {
+                throw new Error('Redo did not remove the component again');
+            }
+        });
+
+        await this.test('Drags, resizes, styles, z-order and nested canvas edits undo and redo', async () => {
+            const result = await this.page.evaluate(async () => {
+                const canvasMaker = window.testAPI.getCanvasMaker();
+                canvasMaker.importDocument({
+                    format: 'canvas-maker-document',
+                    version: '1.4',
+                    root: {
+                        shapes: [
+                            { id: 'u-rect', type: 'rectangle', x: 100, y: 100, width: 80, height: 60, fillColor: '#ffffff' },
+                            { id: 'u-other', type: 'rectangle', x: 300, y: 300, width: 20, height: 20 }
+                        ],
+                        texts: [{ id: 'u-text', text: 'Label', x: 400, y: 50, fontSize: 16, color: '#000000' }],
+                        paths: [
+                            { id: 'u-path', points: [{ x: 10, y: 400 }, { x: 60, y: 420 }], strokeColor: '#000000', strokeWidth: 2 },
+                            { id: 'u-path-2', points: [{ x: 10, y: 450 }, { x: 60, y: 470 }] }
+                        ],
+                        nestedCanvases: [{
+                            id: 'u-nested', x: 500, y: 300, width: 200, height: 150,
+                            content: { shapes: [{ id: 'u-inner', type: 'rectangle', x: 10, y: 10, width: 30, height: 30, fillColor: '#ffffff' }] }
+                        }]
+                    }
+                });
+                canvasMaker.currentTool = 'select';
+                canvasMaker.setSelection([]);
+                const find = id => canvasMaker.findElementById(id);
+                const canvasRect = canvasMaker.canvas.getBoundingClientRect();
+                // Invert canvasToWorld, which is what getMousePos applies to client coordinates
+                const origin = canvasMaker.canvasToWorld(0, 0);
+                const scale = canvasMaker.canvasToWorld(1, 0).x - origin.x;
+                const fire = (type, x, y) => canvasMaker.canvas.dispatchEvent(new MouseEvent(type, {
+                    bubbles: true, cancelable: true, button: 0, buttons: 1,
+                    clientX: canvasRect.left + (x - origin.x) / scale,
+                    clientY: canvasRect.top + (y - origin.y) / scale
+                }));
+                const gesture = (from, to) => {
+                    fire('mousemove', from.x, from.y);
+                    fire('mousedown', from.x, from.y);
+                    fire('mousemove', (from.x + to.x) / 2, (from.y + to.y) / 2);
+                    fire('mousemove', to.x, to.y);
+                    fire('mouseup', to.x, to.y);
+                    // Leave the element so the next gesture starts without a hover
+                    fire('mousemove', 5, 5);
+                };
+                const roundTripOn = (instance, mutate, read) => {
+                    const before = read();
+                    mutate();
+                    const after = read();
+                    instance.undo();
+                    const undone = read();
+                    instance.redo();
+                    const redone = read();
+                    return { changed: after !== before, undone: undone === before, redone: redone === after, trace: [before, after, undone, redone].join(' / ') };
+                };
+                const roundTrip = (mutate, read) => roundTripOn(canvasMaker, mutate, read);
+                const order = () => [...canvasMaker.activeCanvasContext.paths, ...canvasMaker.activeCanvasContext.shapes].map(element => element.id).join(',');
+                // The test page camera may be zoomed, so compare whole world units
+                const rect = () => {
+                    const r = find('u-rect');
+                    return `${Math.round(r.x)},${Math.round(r.y)} ${Math.round(r.width)}x${Math.round(r.height)}`;
+                };
+
+                const results = {
+                    drag: roundTrip(() => gesture({ x: 140, y: 130 }, { x: 190, y: 150 }), rect),
+                    resize: roundTrip(() => {
+                        const r = find('u-rect');
+                        canvasMaker.setSelection([{ type: 'shape', id: 'u-rect' }]);
+                        gesture({ x: r.x + r.width, y: r.y + r.height }, { x: r.x + r.width + 30, y: r.y + r.height + 20 });
+                    }, rect),
+                    shapeStyle: roundTrip(() => canvasMaker.setShapeStyle('u-rect', { fillColor: '#ff0000', strokeWidth: 4 }),
+                        () => `${find('u-rect').fillColor} ${find('u-rect').strokeWidth}`),
+                    textStyle: roundTrip(() => canvasMaker.setTextStyle('u-text', { fontSize: 24, color: '#00ff00' }),
+                        () => `${find('u-text').fontSize} ${find('u-text').color}`),
+                    pathStyle: roundTrip(() => canvasMaker.setPathStyle('u-path', { strokeColor: '#0000ff', strokeWidth: 6 }),
+                        () => `${find('u-path').strokeColor} ${find('u-path').strokeWidth}`),
+                    bringToFront: roundTrip(() => canvasMaker.bringToFront({ type: 'path', id: 'u-path' }), order),
+                    sendToBack: roundTrip(() => canvasMaker.sendToBack({ type: 'shape', id: 'u-other' }), order),
+                    nestedFrame: roundTrip(() => canvasMaker.setNestedCanvasStyle('u-nested', { backgroundColor: '#eeeeee' }),
+                        () => String(find('u-nested').backgroundColor))
+                };
+
+                // Nested canvases open in the overlay that index.html provides
+                const overlay = document.createElement('div');
+                overlay.id = 'nested-canvas-overlay';
+                overlay.style.display = 'none';
+                overlay.innerHTML = '<canvas id="nested-canvas" width="400" height="300"></canvas><div id="nested-selection-box"></div>';
+                const container = document.createElement('div');
+                container.style.cssText = 'position: fixed; left: -10000px; width: 400px; height: 300px;';
+                document.body.append(overlay, container);
+                const board = new CanvasMaker(container, { createCanvas: true, createToolbar: false, width: 400, height: 300 });
+                window.canvasMaker = canvasMaker;
+                try {
+                    board.importDocument({
+                        format: 'canvas-maker-document',
+                        version: '1.4',
+                        root: {
+                            nestedCanvases: [{
+                                id: 'u-nested', x: 0, y: 0, width: 200, height: 150,
+                                content: { shapes: [{ id: 'u-inner', type: 'rectangle', x: 10, y: 10, width: 30, height: 30, fillColor: '#ffffff' }] }
+                            }]
+                        }
+                    });
+                    board.openNestedCanvas('u-nested');
+                    const inner = () => board.activeCanvasContext.shapes.map(shape => `${shape.id} ${shape.fillColor}`).join(',');
+                    results.nestedStyle = roundTripOn(board, () => board.setShapeStyle('u-inner', { fillColor: '#123456' }), inner);
+                    results.nestedAdd = roundTripOn(board, () => board.recordHistory('Add', () => {
+                        board.activeCanvasContext.shapes.push({ id: 'u-added', type: 'circle', x: 80, y: 80, radius: 10 });
+                    }), inner);
+                    // The nested canvas keeps its own history across closing and reopening
+                    board.undo();
+                    board.closeNestedCanvas();
+                    board.openNestedCanvas('u-nested');
+                    board.redo();
+                    results.nestedReopened = inner();
+                    board.closeNestedCanvas();
+                } finally {
+                    board.dispose();
+                    overlay.remove();
+                    container.remove();
+                    window.canvasMaker = canvasMaker;
+                }
+                return results;
+            });
+
+            const failed = Object.entries(result)
+                .filter(([, outcome]) => typeof outcome === 'object' && !(outcome.changed && outcome.undone && outcome.redone))
+                .map(([name, outcome]) => `${name}: ${outcome.trace}`);
+            if (failed.length > 0) {
+                throw new Error(`Undo/redo did not round trip:\n${failed.join('\n')}`);
+            }
+            if (result.resize.trace.split(' / ')[1] !== '150,120 110x80') {
+                throw new Error(`Resize gesture did not resize from the corner handle: ${result.resize.trace}`);
+            }
+            if (result.nestedReopened !== 'u-inner #123456,u-added undefined') {
+                throw new Error(`Nested canvas history was lost on reopening: ${result.nestedReopened}`);
+            }
+        });
+
+        // Test 11: Malformed saves are rejected with the offending element path
+        await this.test('Import reports schema errors by element path', async () => {
+            const result = await this.page.evaluate(() => {
+                const canvasMaker = window.testAPI.getCanvasMaker();
+                const shapeCount = canvasMaker.activeCanvasContext.shapes.length;
+                try {
+                    canvasMaker.importState({
+                        version: '1.4',
+                        shapes: [{ id: 'broken', type: 'rectangle', x: 0, y: 0, width: 'wide', height: 10 }]
+                    });
+                    return { threw: false };
+                } catch (error) {
+                    return {
+                        threw: true,
+                        isStateError: error instanceof window.CanvasMaker.StateError,
+                        paths: error.errors.map(e => e.path),
+                        untouched: canvasMaker.activeCanvasContext.shapes.length === shapeCount
+                    };
+                }
+            });
+
+            if (!result.threw || !result.isStateError) {
+                throw new Error('Invalid state was not rejected with a StateError');
+            }
+            if (result.paths.join(',') !== 'shapes[0].width') {
+                throw new Error(`Unexpected error paths: ${result.paths.join(',')}`);
+            }
+            if (!result.untouched) {
+                throw new Error('Canvas was modified by a rejected import');
+            }
+        });
+
+        // Test 12: A document with two levels of nested canvases survives export -> import
+        await this.test('Document round trip keeps nested canvases', async () => {
+            const result = await this.page.evaluate(() => {
+                const canvasMaker = window.testAPI.getCanvasMaker();
+                canvasMaker.importDocument({
+                    format: 'canvas-maker-document',
+                    version: '1.4',
+                    root: {
+                        camera: { x: 10, y: 20, zoom: 1 },
+                        shapes: [{ id: 'root-rect', type: 'rectangle', x: 0, y: 0, width: 40, height: 30 }],
+                        nestedCanvases: [{
+                            id: 'outer', type: 'nested-canvas', x: 100, y: 100, width: 300, height: 200,
+                            content: {
+                                texts: [{ id: 'outer-text', text: 'Outer', x: 5, y: 5 }],
+                                nestedCanvases: [{
+                                    id: 'inner', type: 'nested-canvas', x: 20, y: 20, width: 120, height: 80,
+                                    content: {
+                                        paths: [{ id: 'inner-path', points: [{ x: 0, y: 0 }, { x: 10, y: 10 }], strokeColor: '#333333', strokeWidth: 2 }],
+                                        shapes: [{ id: 'inner-circle', type: 'circle', x: 30, y: 30, radius: 12 }]
+                                    }
+                                }]
+                            }
+                        }]
+                    }
+                });
+
+                // Everything but the timestamp has to survive a second pass
+                const { timestamp: firstTimestamp, ...first } = canvasMaker.exportDocument();
+                canvasMaker.importDocument({ ...first, timestamp: firstTimestamp });
+                const { timestamp: secondTimestamp, ...second } = canvasMaker.exportDocument();
+
+                const outer = first.root.nestedCanvases[0];
+                const inner = outer && outer.content.nestedCanvases[0];
+                return {
+                    equal: JSON.stringify(first) === JSON.stringify(second),
+                    outerText: outer ? outer.content.texts.map(t => t.text).join(',') : null,
+                    innerPath: inner ? inner.content.paths.map(p => p.id).join(',') : null,
+                    innerShape: inner ? inner.content.shapes.map(s => s.id).join(',') : null
+                };
+            });
+
+            if (result.outerText !== 'Outer') {
+                throw new Error(`First nested level lost its text (got ${result.outerText})`);
+            }
+            if (result.innerPath !== 'inner-path' || result.innerShape !== 'inner-circle') {
+                throw new Error('Second nested level lost its content');
+            }
+            if (!result.equal) {
+                throw new Error('Document changed after an export/import round trip');
+            }
+        });
+
+        await this.test('Element ids stay valid across reorders, deletes, copies and saves', async () => {
+            const result = await this.page.evaluate(() => {
+                const canvasMaker = window.testAPI.getCanvasMaker();
+                // A 1.3 save with a duplicate id, a legacy array path and an index-based selection
+                canvasMaker.importState({
+                    version: '1.3',
+                    shapes: [
+                        { id: 's-a', type: 'rectangle', x: 0, y: 0, width: 40, height: 40, fillColor: '#aa0000' },
+                        { id: 's-b', type: 'rectangle', x: 100, y: 0, width: 40, height: 40, fillColor: '#00bb00' },
+                        { id: 's-b', type: 'rectangle', x: 200, y: 0, width: 40, height: 40, fillColor: '#0000cc' }
+                    ],
+                    texts: [{ id: 't-a', text: 'Kept', x: 0, y: 100 }],
+                    paths: [[{ x: 0, y: 200 }, { x: 50, y: 250 }]],
+                    selectedElements: [{ type: 'shape', index: 1 }, { type: 'path', index: 0 }]
+                });
+                const context = canvasMaker.activeCanvasContext;
+                const ids = () => [...context.shapes, ...context.texts, ...context.paths].map(element => element.id);
+                const duplicateId = context.shapes[2].id;
+                const legacyPathId = context.paths[0].id;
+                const migratedSelection = canvasMaker.selectedElements.map(ref => `${ref.type}:${ref.id}`).join(',');
+                const uniqueOnImport = new Set(ids()).size === ids().length;
+
+                const held = [{ type: 'shape', id: 's-b' }, { type: 'text', id: 't-a' }, { type: 'shape', id: duplicateId }];
+                const resolve = () => held.map(ref => {
+                    const element = canvasMaker.getElementByRef(ref);
+                    return element ? element.fillColor || element.text : 'missing';
+                }).join(',');
+                const before = resolve();
+                canvasMaker.setSelection(held.slice(0, 2));
+                canvasMaker.bringToFront({ type: 'shape', id: 's-a' });
+                canvasMaker.sendToBack(duplicateId);
+                const order = context.shapes.map(shape => shape.id).join(',');
+                const afterReorder = resolve();
+                const selectionAfterReorder = canvasMaker.selectedElements.map(ref => canvasMaker.getElementByRef(ref).id).join(',');
+                canvasMaker.deleteElement({ type: 'shape', id: 's-a' });
+                const afterDelete = resolve();
+                const hit = canvasMaker.getElementAtPointForContext(120, 20, context);
+
+                canvasMaker.setSelection([{ type: 'shape', id: 's-b' }, { type: 'path', id: legacyPathId }]);
+                canvasMaker.copySelectedElements();
+                const pasted = canvasMaker.pasteElements();
+                const savedIds = ids();
+                const savedSelection = JSON.stringify(canvasMaker.selectedElements);
+
+                const restored = canvasMaker.importState(JSON.parse(JSON.stringify(canvasMaker.exportState())));
+                return {
+                    uniqueOnImport,
+                    duplicateId,
+                    legacyPathId,
+                    migratedSelection,
+                    before,
+                    order,
+                    afterReorder,
+                    selectionAfterReorder,
+                    afterDelete,
+                    hit,
+                    pastedFresh: pasted.every(ref => !['s-b', legacyPathId].includes(ref.id)),
+                    uniqueAfterPaste: new Set(savedIds).size === savedIds.length,
+                    restored,
+                    idsKept: ids().join(',') === savedIds.join(','),
+                    selectionKept: JSON.stringify(canvasMaker.selectedElements) === savedSelection
+                };
+            });
+
+            if (!result.duplicateId || result.duplicateId === 's-b' || !result.legacyPathId) {
+                throw new Error(`Import did not give the duplicate and the legacy path their own ids: ${result.duplicateId}, ${result.legacyPathId}`);
+            }
+            if (result.migratedSelection !== `shape:s-b,path:${result.legacyPathId}`) {
+                throw new Error(`Index-based selection was not migrated to ids: ${result.migratedSelection}`);
+            }
+            if (result.order !== `${result.duplicateId},s-b,s-a`) {
+                throw new Error(`Reordering by id moved the wrong shapes: ${result.order}`);
+            }
+            if (result.afterReorder !== result.before || result.afterDelete !== result.before) {
+                throw new Error(`Held ids resolved to other elements (${result.before} -> ${result.afterReorder} -> ${result.afterDelete})`);
+            }
+            if (result.selectionAfterReorder !== 's-b,t-a') {
+                throw new Error(`Selection followed array positions instead of ids: ${result.selectionAfterReorder}`);
+            }
+            if (!result.hit || result.hit.type !== 'shape' || result.hit.id !== 's-b') {
+                throw new Error(`Hit testing did not return an id reference: ${JSON.stringify(result.hit)}`);
+            }
+            if (!result.pastedFresh || !result.uniqueOnImport || !result.uniqueAfterPaste) {
+                throw new Error('Pasted elements reused existing ids');
+            }
+            if (!result.restored || !result.idsKept || !result.selectionKept) {
+                throw new Error('Ids or the selection changed after an exportState/importState round trip');
+            }
+        });
+
+        // Test 13: Crash detection is per tab and closes the session on pagehide
+        await this.test('Autosave sessions are tracked per tab', async () => {
+            const result = await this.page.evaluate(async () => {
+                const canvasMaker = window.testAPI.getCanvasMaker();
+                const key = `test-sessions-${Date.now()}`;
+                const sessionsKey = `canvasMaker:autosave:${key}:sessions`;
+                const sessionIdKey = `canvasMaker:autosave:${key}:sessionId`;
+                const readSessions = () => JSON.parse(localStorage.getItem(sessionsKey) || '[]');
+
+                const originalSave = canvasMaker.saveSnapshot;
+                const originalCheck = canvasMaker.checkAutosaveRecovery;
+                let recoveryChecks = 0;
+                canvasMaker.checkAutosaveRecovery = async () => { recoveryChecks++; return null; };
+
+                try {
+                    // Another tab is live on the same board - not a crash of this one
+                    localStorage.setItem(sessionsKey, JSON.stringify(['other-tab']));
+                    sessionStorage.setItem(sessionIdKey, 'this-tab');
+                    canvasMaker.enableAutosave({ key, promptOnRecovery: false });
+                    const otherTabPrompted = recoveryChecks > 0;
+                    const bothLive = readSessions().sort().join(',');
+
+                    // pagehide: closed synchronously, since the page rarely outlives the flush,
+                    // with the pending edit still written afterwards
+                    let saves = 0;
+                    canvasMaker.saveSnapshot = () => {
+                        saves++;
+                        return new Promise(() => {});
+                    };
+                    canvasMaker.recordHistory('Add', () => {
+                        canvasMaker.shapes.push({ id: 'autosave-probe', type: 'rectangle', x: 0, y: 0, width: 10, height: 10 });
+                    });
+                    window.dispatchEvent(new Event('pagehide'));
+                    const closedOnPageHide = !readSessions().includes('this-tab');
+                    await new Promise(resolve => setTimeout(resolve, 0));
+                    const flushed = saves === 1;
+
+                    // Restored from the back/forward cache: live again
+                    const pageShow = new Event('pageshow');
+                    pageShow.persisted = true;
+                    window.dispatchEvent(pageShow);
+                    const liveAfterPageShow = readSessions().includes('this-tab');
+                    canvasMaker.disableAutosave();
+
+                    // The same tab reloading with its id still listed is an unclean exit
+                    localStorage.setItem(sessionsKey, JSON.stringify(['this-tab']));
+                    canvasMaker.enableAutosave({ key, promptOnRecovery: false });
+                    const ownCrashPrompted = recoveryChecks === 1;
+                    canvasMaker.disableAutosave();
+
+                    // Disposing turns autosave off before clearing, so the empty board is never saved
+                    const container = document.createElement('div');
+                    document.body.appendChild(container);
+                    const disposed = new CanvasMaker(container, { createCanvas: true, createToolbar: false, width: 200, height: 100 });
+                    window.canvasMaker = canvasMaker;
+                    let disposedSaves = 0;
+                    disposed.saveSnapshot = async () => { disposedSaves++; return null; };
+                    disposed.enableAutosave({ key, debounceMs: 0, promptOnRecovery: false });
+                    disposed.recordHistory('Add', () => {
+                        disposed.activeCanvasContext.shapes.push({ id: 'dispose-probe', type: 'rectangle', x: 0, y: 0, width: 10, height: 10 });
+                    });
+                    disposedSaves = 0;
+                    disposed.dispose();
+                    container.remove();
+                    await new Promise(resolve => setTimeout(resolve, 20));
+
+                    return {
+                        otherTabPrompted,
+                        bothLive,
+                        closedOnPageHide,
+                        flushed,
+                        liveAfterPageShow,
+                        ownCrashPrompted,
+                        disposedSaves,
+                        disposedAutosave: disposed.autosave,
+                        remaining: readSessions().join(',')
+                    };
+                } finally {
+                    canvasMaker.disableAutosave();
+                    canvasMaker.saveSnapshot = originalSave;
+                    canvasMaker.checkAutosaveRecovery = originalCheck;
+                    localStorage.removeItem(sessionsKey);
+                    sessionStorage.removeItem(sessionIdKey);
+                }
+            });
+
+            if (result.otherTabPrompted) {
+                throw new Error('A live session in another tab triggered recovery');
+            }
+            if (result.bothLive !== 'other-tab,this-tab') {
+                throw new Error(`Expected both tabs to be live, got ${result.bothLive}`);
+            }
+            if (!result.closedOnPageHide || !result.flushed) {
+                throw new Error('pagehide should close the session at once and still write the pending snapshot');
+            }
+            if (!result.liveAfterPageShow) {
+                throw new Error('A page restored from the back/forward cache was not live again');
+            }
+            if (!result.ownCrashPrompted) {
+                throw new Error('A reload after an unclean exit did not check for recovery');
+            }
+            if (result.disposedSaves !== 0 || result.disposedAutosave !== null) {
+                throw new Error(`Disposing saved the cleared board (${result.disposedSaves} saves)`);
+            }
+            if (result.remaining !== '') {
+                throw new Error(`Sessions left behind after disabling autosave: ${result.remaining}`);
+            }
+        });
+
+        // Test 14: Concurrent edits converge whichever peer's changes arrive first
+        await this.test('Collaborating instances converge on concurrent edits', async () => {
+            const result = await this.page.evaluate(() => {
+                const canvasMaker = window.testAPI.getCanvasMaker();
+                const { CanvasMaker } = window;
+
+                // Order-independent view of exportState() without per-instance fields
+                const canonical = value => {
+                    if (Array.isArray(value)) return value.map(canonical);
+                    if (value && typeof value === 'object') {
+                        return Object.keys(value).sort().reduce((result, key) => {
+                            result[key] = canonical(value[key]);
+                            return result;
+                        }, {});
+                    }
+                    return value;
+                };
+                const snapshot = instance => {
+                    const state = instance.exportState();
+                    return JSON.stringify(canonical({
+                        paths: state.paths,
+                        shapes: state.shapes.filter(shape => shape.type !== 'reactComponent'),
+                        texts: state.texts,
+                        htmlComponents: state.htmlComponents.map(({ id, x, y, width, height, htmlContent }) => ({ id, x, y, width, height, htmlContent }))
+                    }));
+                };
+
+                const run = (firstClient) => {
+                    const container = document.createElement('div');
+                    container.style.cssText = 'position: fixed; left: -10000px; width: 400px; height: 300px;';
+                    document.body.appendChild(container);
+                    const peer = new CanvasMaker(container, { createCanvas: true, createToolbar: false, width: 400, height: 300 });
+                    window.canvasMaker = canvasMaker;
+
+                    try {
+                        canvasMaker.importState({
+                            version: '1.4',
+                            shapes: [
+                                { id: 'c-rect', type: 'rectangle', x: 0, y: 0, width: 50, height: 40, fillColor: '#ffffff' },
+                                { id: 'c-gone', type: 'rectangle', x: 80, y: 0, width: 20, height: 20 }
+                            ],
+                            texts: [{ id: 'c-text', text: 'Hello', x: 0, y: 80 }],
+                            htmlComponents: [{ id: 'c-html', x: 200, y: 0, width: 120, height: 60, htmlContent: '<p>Start</p>' }]
+                        });
+                        peer.importState({ version: '1.4' });
+
+                        const relay = new CanvasMaker.LocalRelay({ manual: true });
+                        const transports = { local: relay.createTransport(), peer: relay.createTransport() };
+                        canvasMaker.startCollaboration(transports.local, { clientId: 'local' });
+                        peer.startCollaboration(transports.peer, { clientId: 'peer' });
+                        relay.flush();
+                        const joined = snapshot(canvasMaker) === snapshot(peer);
+
+                        const edits = {
+                            local: () => {
+                                canvasMaker.recordHistory('Move', () => {
+                                    Object.assign(canvasMaker.findElementById('c-rect'), { x: 100, y: 30 });
+                                });
+                                canvasMaker.recordHistory('Edit text', () => {
+                                    canvasMaker.findElementById('c-text').text = 'Local text';
+                                });
+                                canvasMaker.updateReactComponentHTML(canvasMaker.findElementById('c-html'), '<p>Local</p>');
+                            },
+                            peer: () => {
+                                peer.recordHistory('Style', () => {
+                                    Object.assign(peer.findElementById('c-rect'), { x: 140, fillColor: '#ff0000' });
+                                });
+                                peer.deleteElement({ type: 'text', id: 'c-text' });
+                                peer.deleteElement({ type: 'shape', id: 'c-gone' });
+                                peer.updateReactComponentHTML(peer.findElementById('c-html'), '<p>Peer</p>');
+                            }
+                        };
+                        // Both sides edit before anything is delivered
+                        const order = firstClient === 'local' ? ['local', 'peer'] : ['peer', 'local'];
+                        order.forEach(client => edits[client]());
+                        relay.flush();
+
+                        const state = snapshot(canvasMaker);
+                        return { joined, converged: state === snapshot(peer), state };
+                    } finally {
+                        canvasMaker.stopCollaboration();
+                        peer.stopCollaboration();
+                        peer.dispose();
+                        container.remove();
+                        window.canvasMaker = canvasMaker;
+                    }
+                };
+
+                const localFirst = run('local');
+                const peerFirst = run('peer');
+                return { localFirst, peerFirst, sameResult: localFirst.state === peerFirst.state };
+            });
+
+            [result.localFirst, result.peerFirst].forEach((outcome, i) => {
+                const label = i === 0 ? 'local-first' : 'peer-first';
+                if (!outcome.joined) {
+                    throw new Error(`Peer did not receive the initial board (${label})`);
+                }
+                if (!outcome.converged) {
+                    throw new Error(`Instances diverged after concurrent edits (${label})`);
+                }
+            });
+            if (!result.sameResult) {
+                throw new Error('Delivery order changed the merged result');
+            }
+        });
+
+        // Test 15: Remote edits only invalidate local undo entries for the elements they touch
+        await this.test('Remote edits keep unrelated local undo history', async () => {
+            const result = await this.page.evaluate(() => {
+                const canvasMaker = window.testAPI.getCanvasMaker();
+                const { CanvasMaker } = window;
+                const container = document.createElement('div');
+                container.style.cssText = 'position: fixed; left: -10000px; width: 400px; height: 300px;';
+                document.body.appendChild(container);
+                const peer = new CanvasMaker(container, { createCanvas: true, createToolbar: false, width: 400, height: 300 });
+                window.canvasMaker = canvasMaker;
+
+                try {
+                    canvasMaker.importState({
+                        version: '1.4',
+                        shapes: [
+                            { id: 'h-mine', type: 'rectangle', x: 0, y: 0, width: 20, height: 20 },
+                            { id: 'h-shared', type: 'rectangle', x: 50, y: 0, width: 20, height: 20 }
+                        ]
+                    });
+                    peer.importState({ version: '1.4' });
+                    const relay = new CanvasMaker.LocalRelay({ manual: true });
+                    canvasMaker.startCollaboration(relay.createTransport(), { clientId: 'local' });
+                    peer.startCollaboration(relay.createTransport(), { clientId: 'peer' });
+                    relay.flush();
+
+                    canvasMaker.recordHistory('Move mine', () => { canvasMaker.findElementById('h-mine').x = 200; });
+                    canvasMaker.recordHistory('Move shared', () => { canvasMaker.findElementById('h-shared').x = 300; });
+                    relay.flush();
+
+                    // The peer moves the shared rectangle and adds one of its own
+                    peer.recordHistory('Peer edit', () => {
+                        peer.findElementById('h-shared').y = 90;
+                        peer.activeCanvasContext.shapes.push({ id: 'h-peer', type: 'circle', x: 10, y: 10, radius: 5 });
+                    });
+                    relay.flush();
+
+                    const labels = canvasMaker.historyStacks.get('main').undo.map(command => command.label);
+                    canvasMaker.undo();
+                    relay.flush();
+
+                    const find = (instance, id) => instance.findElementById(id);
+                    return {
+                        labels,
+                        mineX: find(canvasMaker, 'h-mine').x,
+                        peerMineX: find(peer, 'h-mine').x,
+                        shared: [find(canvasMaker, 'h-shared').x, find(canvasMaker, 'h-shared').y],
+                        peerShapeKept: !!find(canvasMaker, 'h-peer')
+                    };
+                } finally {
+                    canvasMaker.stopCollaboration();
+                    peer.stopCollaboration();
+                    peer.dispose();
+                    container.remove();
+                    window.canvasMaker = canvasMaker;
+                }
+            });
+
+            if (result.labels.join(',') !== 'Move mine') {
+                throw new Error(`Expected only "Move mine" to stay undoable, got ${result.labels.join(',')}`);
+            }
+            if (result.mineX !== 0 || result.peerMineX !== 0) {
+                throw new Error(`Undo did not move the local rectangle back on both peers (${result.mineX}, ${result.peerMineX})`);
+            }
+            if (result.shared.join(',') !== '300,90' || !result.peerShapeKept) {
+                throw new Error('Undo rolled back a remote edit');
+            }
+        });
+
+        await this.test('HTML edits reach peers and disposing a connected peer keeps the shared board', async () => {
+            const result = await this.page.evaluate(() => {
+                const canvasMaker = window.testAPI.getCanvasMaker();
+                const { CanvasMaker } = window;
+                const container = document.createElement('div');
+                container.style.cssText = 'position: fixed; left: -10000px; width: 400px; height: 300px;';
+                document.body.appendChild(container);
+                const peer = new CanvasMaker(container, { createCanvas: true, createToolbar: false, width: 400, height: 300 });
+                window.canvasMaker = canvasMaker;
+
+                try {
+                    canvasMaker.importState({
+                        version: '1.4',
+                        shapes: [{ id: 'd-rect', type: 'rectangle', x: 0, y: 0, width: 20, height: 20 }],
+                        htmlComponents: [{ id: 'd-html', x: 100, y: 0, width: 120, height: 60, htmlContent: '<p>Before</p>' }]
+                    });
+                    peer.importState({ version: '1.4' });
+                    const relay = new CanvasMaker.LocalRelay({ manual: true });
+                    canvasMaker.startCollaboration(relay.createTransport(), { clientId: 'local' });
+                    peer.startCollaboration(relay.createTransport(), { clientId: 'peer' });
+                    relay.flush();
+
+                    // A bare API call is an undoable step that collaborators receive
+                    canvasMaker.updateReactComponentHTML(canvasMaker.findElementById('d-html'), '<p>After</p>');
+                    relay.flush();
+                    const received = peer.findElementById('d-html').htmlContent;
+                    const undoLabel = canvasMaker.historyStacks.get('main').undo.slice(-1)[0].label;
+                    canvasMaker.undo();
+                    relay.flush();
+                    const undone = peer.findElementById('d-html').htmlContent;
+
+                    // Disposing while still connected leaves the session instead of clearing the board for everyone
+                    peer.dispose();
+                    relay.flush();
+                    return {
+                        received,
+                        undoLabel,
+                        undone,
+                        peerSession: peer.collaboration,
+                        peersLeft: canvasMaker.getPresence().length,
+                        kept: ['d-rect', 'd-html'].filter(id => canvasMaker.findElementById(id))
+                    };
+                } finally {
+                    canvasMaker.stopCollaboration();
+                    container.remove();
+                    window.canvasMaker = canvasMaker;
+                }
+            });
+
+            if (result.received !== '<p>After</p>' || result.undoLabel !== 'Edit HTML' || result.undone !== '<p>Before</p>') {
+                throw new Error(`HTML edit did not reach the peer as an undoable step: ${JSON.stringify(result)}`);
+            }
+            if (result.peerSession !== null || result.peersLeft !== 0) {
+                throw new Error('Disposing did not leave the collaboration session');
+            }
+            if (result.kept.length !== 2) {
+                throw new Error(`Disposing a connected peer removed shared elements; left: ${result.kept.join(', ')}`);
+            }
+        });
+
+        await this.test('Collaborators see each other\'s cursor, selection and viewport until they go silent', async () => {
+            const result = await this.page.evaluate(async () => {
+                const canvasMaker = window.testAPI.getCanvasMaker();
+                const { CanvasMaker } = window;
+                const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+                const containers = [0, 1].map(() => {
+                    const container = document.createElement('div');
+                    container.style.cssText = 'position: fixed; left: -10000px; width: 400px; height: 300px;';
+                    document.body.appendChild(container);
+                    return container;
+                });
+                const [local, peer] = containers.map(container => new CanvasMaker(container, { createCanvas: true, createToolbar: false, width: 400, height: 300 }));
+                window.canvasMaker = canvasMaker;
+
+                try {
+                    const state = { version: '1.4', shapes: [{ id: 'p-rect', type: 'rectangle', x: 10, y: 20, width: 60, height: 40 }] };
+                    local.importState(state);
+                    peer.importState(state);
+                    const relay = new CanvasMaker.LocalRelay({ manual: true });
+                    const options = { presenceThrottleMs: 0, presenceTimeoutMs: 300 };
+                    local.startCollaboration(relay.createTransport(), { ...options, clientId: 'local', name: 'Reviewer', color: '#16a34a' });
+                    peer.startCollaboration(relay.createTransport(), { ...options, clientId: 'peer' });
+                    relay.flush();
+
+                    // Pointer, selection and camera all come from ordinary interaction
+                    const rect = local.canvas.getBoundingClientRect();
+                    local.canvas.dispatchEvent(new MouseEvent('mousemove', { bubbles: true, clientX: rect.left + 120, clientY: rect.top + 90 }));
+                    const cursor = local.canvasToWorld(120, 90);
+                    local.setSelection([{ type: 'shape', id: 'p-rect' }]);
+                    local.activeCanvasContext.camera.x -= 150;
+                    local.redrawCanvas();
+                    await wait(20);
+                    relay.flush();
+                    const bounds = local.getViewportBounds();
+                    const seen = peer.getPresence();
+
+                    // Collaborators are drawn in world space under the peer's own camera
+                    const ctx = peer.activeCanvasContext.ctx;
+                    const calls = [];
+                    const original = { translate: ctx.translate, strokeRect: ctx.strokeRect };
+                    ctx.translate = function (...args) { calls.push(['translate', ...args]); return original.translate.apply(this, args); };
+                    ctx.strokeRect = function (...args) { calls.push(['strokeRect', ...args]); return original.strokeRect.apply(this, args); };
+                    try {
+                        peer.drawRemotePresence(peer.activeCanvasContext);
+                    } finally {
+                        Object.assign(ctx, original);
+                    }
+
+                    // A peer that stops sending heartbeats is dropped after the timeout
+                    const events = [];
+                    peer.on('presenceChange', event => events.push(event.peers.length));
+                    local.collaboration.transport.send = () => {};
+                    await wait(600);
+                    relay.flush();
+
+                    return {
+                        seen,
+                        cursor,
+                        viewport: { x: bounds.left, y: bounds.top, width: bounds.width, height: bounds.height },
+                        calls,
+                        afterTimeout: peer.getPresence().length,
+                        events
+                    };
+                } finally {
+                    local.dispose();
+                    peer.dispose();
+                    containers.forEach(container => container.remove());
+                    window.canvasMaker = canvasMaker;
+                }
+            });
+
+            const [remote] = result.seen;
+            if (result.seen.length !== 1 || remote.clientId !== 'local' || remote.name !== 'Reviewer' || remote.color !== '#16a34a') {
+                throw new Error(`Peer did not receive the collaborator's identity: ${JSON.stringify(result.seen)}`);
+            }
+            if (!remote.cursor || remote.cursor.x !== result.cursor.x || remote.cursor.y !== result.cursor.y) {
+                throw new Error(`Cursor did not arrive in world coordinates: ${JSON.stringify(remote.cursor)}`);
+            }
+            if (JSON.stringify(remote.selection) !== JSON.stringify([{ type: 'shape', id: 'p-rect' }])) {
+                throw new Error(`Selection did not arrive: ${JSON.stringify(remote.selection)}`);
+            }
+            if (JSON.stringify(remote.viewport) !== JSON.stringify(result.viewport)) {
+                throw new Error(`Viewport did not follow the camera: ${JSON.stringify(remote.viewport)} vs ${JSON.stringify(result.viewport)}`);
+            }
+            const outline = result.calls.find(([name]) => name === 'strokeRect');
+            const placed = result.calls.find(([name]) => name === 'translate');
+            if (!outline || outline[1] >= 10 || outline[2] >= 20 || outline[1] + outline[3] <= 70 || outline[2] + outline[4] <= 60) {
+                throw new Error(`Remote selection was not outlined around the element: ${JSON.stringify(outline)}`);
+            }
+            if (!placed || placed[1] !== result.cursor.x || placed[2] !== result.cursor.y) {
+                throw new Error(`Remote cursor was not drawn at its world position: ${JSON.stringify(placed)}`);
+            }
+            if (result.afterTimeout !== 0 || !result.events.includes(0)) {
+                throw new Error('Silent collaborator was not dropped after the presence timeout');
+            }
+        });
+
+        await this.test('Change feed reports styles, HTML content, z-order, removals and undo', async () => {
+            const result = await this.page.evaluate(() => {
+                const canvasMaker = window.testAPI.getCanvasMaker();
+                const { CanvasMaker } = window;
+                const initial = {
+                    version: '1.4',
+                    shapes: [
+                        { id: 'f-rect', type: 'rectangle', x: 0, y: 0, width: 40, height: 40, fillColor: '#ffffff' },
+                        { id: 'f-back', type: 'rectangle', x: 60, y: 0, width: 40, height: 40 }
+                    ],
+                    htmlComponents: [{ id: 'f-html', x: 0, y: 80, width: 120, height: 60, htmlContent: '<p>Old</p>' }]
+                };
+                canvasMaker.importState(initial);
+
+                // A second instance kept in sync only through the feed
+                const container = document.createElement('div');
+                container.style.cssText = 'position: fixed; left: -10000px; width: 400px; height: 300px;';
+                document.body.appendChild(container);
+                const mirror = new CanvasMaker(container, { createCanvas: true, createToolbar: false, width: 400, height: 300 });
+                window.canvasMaker = canvasMaker;
+                mirror.importState(initial);
+
+                const events = [];
+                const onChange = change => {
+                    events.push(change);
+                    mirror.applyOperations(change.operations);
+                };
+                canvasMaker.on('change', onChange);
+
+                try {
+                    canvasMaker.setShapeStyle('f-rect', { fillColor: '#ff0000' });
+                    canvasMaker.updateReactComponentHTML(canvasMaker.findElementById('f-html'), '<p>New</p>');
+                    canvasMaker.bringToFront({ type: 'shape', id: 'f-rect' });
+                    canvasMaker.deleteElement({ type: 'shape', id: 'f-back' });
+                    canvasMaker.undo();
+
+                    const describe = operation => operation.op === 'reorder'
+                        ? `reorder ${operation.type} ${operation.order.join('+')}`
+                        : `${operation.op} ${operation.type} ${operation.id}${operation.changes ? ' ' + JSON.stringify(operation.changes) : ''}`;
+                    const shapes = instance => JSON.stringify(instance.activeCanvasContext.shapes.map(({ id, x, y, fillColor, htmlContent }) => ({ id, x, y, fillColor, htmlContent })));
+                    return {
+                        events: events.map(event => `${event.source}: ${event.operations.map(describe).join(', ')}`),
+                        mirrored: shapes(mirror) === shapes(canvasMaker)
+                    };
+                } finally {
+                    canvasMaker.off('change', onChange);
+                    mirror.dispose();
+                    container.remove();
+                    window.canvasMaker = canvasMaker;
+                }
+            });
+
+            const expected = [
+                'edit: update shape f-rect {"fillColor":"#ff0000"}',
+                'edit: update html-component f-html {"htmlContent":"<p>New</p>"}',
+                'edit: reorder shape f-back+f-html+f-rect',
+                'edit: remove shape f-back',
+                'undo: add shape f-back'
+            ];
+            if (result.events.length !== expected.length || !expected.every((line, i) => result.events[i] === line)) {
+                throw new Error(`Unexpected change events:\n${result.events.join('\n')}`);
+            }
+            if (!result.mirrored) {
+                throw new Error('Replaying the feed did not reproduce the board');
+            }
+        });
+
+        await this.test('Recorded sessions replay, seek and rewind to the recorded states', async () => {
+            const result = await this.page.evaluate(async () => {
+                const canvasMaker = window.testAPI.getCanvasMaker();
+                const { CanvasMaker } = window;
+                const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+                const canonical = value => {
+                    if (Array.isArray(value)) return value.map(canonical);
+                    if (value && typeof value === 'object') {
+                        // Underscored fields are render bookkeeping, not document state
+                        return Object.keys(value).filter(key => !key.startsWith('_')).sort().reduce((result, key) => {
+                            result[key] = canonical(value[key]);
+                            return result;
+                        }, {});
+                    }
+                    return value;
+                };
+                const snapshot = instance => {
+                    const state = instance.exportState();
+                    const { x, y, zoom } = instance.activeCanvasContext.camera;
+                    return JSON.stringify(canonical({
+                        paths: state.paths,
+                        shapes: state.shapes.filter(shape => shape.type !== 'reactComponent'),
+                        texts: state.texts,
+                        htmlComponents: state.htmlComponents.map(({ id, x, y, width, height, htmlContent }) => ({ id, x, y, width, height, htmlContent })),
+                        camera: { x, y, zoom }
+                    }));
+                };
+                const containers = [0, 1].map(() => {
+                    const container = document.createElement('div');
+                    container.style.cssText = 'position: fixed; left: -10000px; width: 400px; height: 300px;';
+                    document.body.appendChild(container);
+                    return container;
+                });
+                const [recorder, viewer] = containers.map(container => new CanvasMaker(container, { createCanvas: true, createToolbar: false, width: 400, height: 300 }));
+                window.canvasMaker = canvasMaker;
+
+                try {
+                    recorder.importState({
+                        version: '1.4',
+                        shapes: [{ id: 'r-rect', type: 'rectangle', x: 0, y: 0, width: 40, height: 40 }],
+                        texts: [{ id: 'r-text', text: 'Draft', x: 0, y: 80 }],
+                        htmlComponents: [{ id: 'r-html', x: 100, y: 0, width: 120, height: 60, htmlContent: '<p>One</p>' }]
+                    });
+                    viewer.importState({ version: '1.4', shapes: [{ id: 'stale', type: 'rectangle', x: 0, y: 0, width: 5, height: 5 }] });
+                    // Let the HTML component fit its content before recording starts
+                    await wait(200);
+                    recorder.startRecording({ cameraIntervalMs: 0 });
+                    const initial = snapshot(recorder);
+                    const steps = [];
+                    const step = async edit => {
+                        await wait(30);
+                        edit();
+                        steps.push({ at: Date.now(), snapshot: snapshot(recorder) });
+                    };
+                    await step(() => recorder.recordHistory('Add', () => {
+                        recorder.activeCanvasContext.shapes.push({ id: 'r-circle', type: 'circle', x: 200, y: 200, radius: 15 });
+                    }));
+                    await step(() => recorder.setShapeStyle('r-rect', { fillColor: '#ff0000' }));
+                    await step(() => {
+                        recorder.activeCanvasContext.camera.x -= 80;
+                        recorder.activeCanvasContext.camera.zoom = 1.5;
+                        recorder.redrawCanvas();
+                    });
+                    await step(() => recorder.updateReactComponentHTML(recorder.findElementById('r-html'), '<p>Two</p>'));
+                    await step(() => recorder.deleteElement({ type: 'text', id: 'r-text' }));
+                    await step(() => recorder.undo());
+                    const final = snapshot(recorder);
+                    const log = JSON.parse(JSON.stringify(recorder.stopRecording()));
+                    const times = steps.map(({ at }) => at - log.startedAt);
+
+                    const player = new CanvasMaker.RecordingPlayer(viewer, log);
+                    const atStart = snapshot(viewer) === initial;
+                    const seekResults = steps.map((recorded, index) => {
+                        player.seek(index + 1 < times.length ? (times[index] + times[index + 1]) / 2 : log.duration);
+                        return snapshot(viewer) === recorded.snapshot;
+                    });
+                    player.seek(0);
+                    const rewound = snapshot(viewer) === initial;
+
+                    const states = [];
+                    viewer.on('playback', ({ state }) => states.push(state));
+                    const ended = new Promise(resolve => viewer.on('playback', ({ state }) => state === 'ended' && resolve()));
+                    player.setSpeed(4);
+                    player.play();
+                    await Promise.race([ended, wait(3000)]);
+                    return {
+                        eventKinds: [...new Set(log.events.map(event => event.kind))].sort().join(','),
+                        atStart,
+                        seekResults,
+                        rewound,
+                        states: [...new Set(states)].join(','),
+                        playedToEnd: snapshot(viewer) === final,
+                        undoable: viewer.historyStacks.get('main') ? viewer.historyStacks.get('main').undo.length : 0,
+                        invalid: (() => {
+                            try {
+                                new CanvasMaker.RecordingPlayer(viewer, { format: 'other' });
+                                return false;
+                            } catch (error) {
+                                return error instanceof CanvasMaker.StateError;
+                            }
+                        })()
+                    };
+                } finally {
+                    recorder.dispose();
+                    viewer.dispose();
+                    containers.forEach(container => container.remove());
+                    window.canvasMaker = canvasMaker;
+                }
+            });
+
+            if (result.eventKinds !== 'camera,operations') {
+                throw new Error(`Recording is missing edits or camera moves: ${result.eventKinds}`);
+            }
+            if (!result.atStart) {
+                throw new Error('Player did not start from the board as it was when recording started');
+            }
+            const missed = result.seekResults.map((matched, index) => matched ? null : index + 1).filter(Boolean);
+            if (missed.length > 0) {
+                throw new Error(`Seeking did not reproduce the board after step(s) ${missed.join(', ')}`);
+            }
+            if (!result.rewound) {
+                throw new Error('Seeking back to the start kept edits from later in the recording');
+            }
+            if (!result.playedToEnd || result.states !== 'paused,playing,ended') {
+                throw new Error(`Playback did not reach the final state (states: ${result.states})`);
+            }
+            if (result.undoable !== 0) {
+                throw new Error('Playback added entries to the undo history');
+            }
+            if (!result.invalid) {
+                throw new Error('An invalid recording was not rejected with a StateError');
+            }
+        });
+
+        await this.test('Export image at a fixed scale independent of the camera', async () => {
+            const result = await this.page.evaluate(async () => {
+                const canvasMaker = window.testAPI.getCanvasMaker();
+                canvasMaker.importState({
+                    version: '1.4',
+                    shapes: [
+                        { id: 'export-rect', type: 'rectangle', x: 10, y: 20, width: 40, height: 30 },
+                        { id: 'export-other', type: 'rectangle', x: 500, y: 500, width: 10, height: 10 }
+                    ]
+                });
+                canvasMaker.activeCanvasContext.selectedElements = [{ type: 'shape', id: 'export-rect' }];
+
+                const camera = canvasMaker.activeCanvasContext.camera;
+                const originalZoom = camera.zoom;
+                camera.zoom = 0.5;
+                try {
+                    const dataURL = await canvasMaker.exportImage({ region: 'selection', scale: 3, padding: 5, output: 'dataURL' });
+                    const image = new Image();
+                    image.src = dataURL;
+                    await image.decode();
+                    return {
+                        isPNG: dataURL.startsWith('data:image/png'),
+                        width: image.width,
+                        height: image.height
+                    };
+                } finally {
+                    camera.zoom = originalZoom;
+                }
+            });
+
+            if (!result.isPNG) {
+                throw new Error('Export did not produce a PNG');
+            }
+            // (40 + 2 * 5) x (30 + 2 * 5) world units at scale 3, whatever the zoom
+            if (result.width !== 150 || result.height !== 120) {
+                throw new Error(`Expected 150x120, got ${result.width}x${result.height}`);
+            }
+        });
+
+        await this.test('PDF pages scale content exactly and keep links on their frames', async () => {
+            const result = await this.page.evaluate(async () => {
+                const canvasMaker = window.testAPI.getCanvasMaker();
+                // Page one's transform and the link rect drawn over the nested canvas frame
+                const exportPage = async (width, pageSize) => {
+                    canvasMaker.importDocument({
+                        format: 'canvas-maker-document',
+                        version: '1.4',
+                        root: {
+                            shapes: [{ id: 'pdf-rect', type: 'rectangle', x: 0, y: 0, width, height: width * 0.6 }],
+                            nestedCanvases: [{
+                                id: 'pdf-nested', x: width / 2, y: width / 10, width: width / 4, height: width / 5,
+                                content: { shapes: [{ id: 'pdf-inner', type: 'circle', x: 50, y: 50, radius: 20 }] }
+                            }]
+                        }
+                    });
+                    const text = await (await canvasMaker.exportPDF({ pageSize, margin: 36, padding: 0 })).text();
+                    const matrix = /q ([\d.-]+) 0 0 ([\d.-]+) ([\d.-]+) ([\d.-]+) cm/.exec(text).slice(1).map(Number);
+                    const rect = /\/Subtype \/Link \/Rect \[([^\]]+)\]/.exec(text)[1].split(' ').map(Number);
+                    return { matrix, rect, frame: { x: width / 2, y: width / 10, width: width / 4, height: width / 5 } };
+                };
+                return {
+                    a4: await exportPage(1000, 'a4'),
+                    // Scaled far below 0.01
+                    huge: await exportPage(200000, 'letter')
+                };
+            });
+
+            Object.entries(result).forEach(([name, { matrix, rect, frame }]) => {
+                const [scale, flipped, tx, ty] = matrix;
+                if (!(scale > 0) || flipped !== -scale) {
+                    throw new Error(`${name}: unexpected page transform ${matrix.join(' ')}`);
+                }
+                // Where the content transform puts the frame must be where its link is
+                const drawn = [tx + frame.x * scale, ty - (frame.y + frame.height) * scale, tx + (frame.x + frame.width) * scale, ty - frame.y * scale];
+                if (drawn.some((value, i) => Math.abs(value - rect[i]) > 0.02)) {
+                    throw new Error(`${name}: link [${rect.join(' ')}] is not over the drawn frame [${drawn.join(' ')}]`);
+                }
+            });
+        });
+
+        await this.test('SVG export writes styled native elements, text and HTML', async () => {
+            const result = await this.page.evaluate(() => {
+                const canvasMaker = window.testAPI.getCanvasMaker();
+                canvasMaker.importDocument({
+                    format: 'canvas-maker-document',
+                    version: '1.4',
+                    root: {
+                        camera: { x: 0, y: 0, zoom: 1 },
+                        paths: [{ id: 'v-path', points: [{ x: 0, y: 0 }, { x: 40, y: 20 }, { x: 80, y: 0 }] }],
+                        shapes: [
+                            { id: 'v-rect', type: 'rectangle', x: 100, y: 0, width: 60, height: 40 },
+                            { id: 'v-circle', type: 'circle', x: 220, y: 20, radius: 20 },
+                            { id: 'v-line', type: 'line', x1: 0, y1: 100, x2: 80, y2: 100 },
+                            { id: 'v-arrow', type: 'arrow', x1: 100, y1: 100, x2: 180, y2: 100 }
+                        ],
+                        texts: [{ id: 'v-text', text: 'A < B & "C"\nSecond line', x: 0, y: 140, width: 200, height: 60 }],
+                        htmlComponents: [{ id: 'v-html', x: 240, y: 120, width: 120, height: 60, htmlContent: '<p>Card<br>body</p><script>alert(1)</script>' }],
+                        nestedCanvases: [{ id: 'v-nested', x: 0, y: 220, width: 160, height: 100, content: {} }]
+                    }
+                });
+                canvasMaker.setPathStyle('v-path', { strokeColor: '#ff0000', strokeWidth: 3, strokeStyle: 'dashed', opacity: 0.5 });
+                canvasMaker.setShapeStyle('v-rect', { fillColor: '#00ff00', strokeColor: '#0000ff', strokeWidth: 4, strokeStyle: 'dotted', borderRadius: 8, opacity: 0.75 });
+                canvasMaker.setShapeStyle('v-circle', { fillColor: '#123456' });
+                canvasMaker.setTextStyle('v-text', { fontSize: 20, fontFamily: 'Georgia', fontWeight: 'bold', fontStyle: 'italic', color: '#654321' });
+                canvasMaker.setNestedCanvasStyle('v-nested', { backgroundColor: '#eeeeee', borderStyle: 'dashed' });
+
+                const parse = markup => new DOMParser().parseFromString(markup, 'image/svg+xml');
+                const describe = (svg, id) => {
+                    const element = svg.getElementById(id);
+                    if (!element) return null;
+                    const attrs = {};
+                    [element, ...element.querySelectorAll('*')].forEach(node => {
+                        Array.from(node.attributes).forEach(attr => {
+                            if (attr.name !== 'id' && !(attr.name in attrs)) attrs[attr.name] = attr.value;
+                        });
+                    });
+                    return { tag: element.localName, attrs };
+                };
+
+                const markup = canvasMaker.exportSVG();
+                const svg = parse(markup);
+                const root = svg.documentElement;
+                const ids = Array.from(root.children).map(child => child.id).filter(Boolean);
+                const elements = Object.fromEntries(['v-path', 'v-rect', 'v-circle', 'v-line', 'v-arrow', 'v-text', 'v-html', 'v-nested'].map(id => [id, describe(svg, id)]));
+                const textNode = svg.getElementById('v-text').querySelector('text');
+                const foreign = svg.getElementById('v-html');
+
+                canvasMaker.setSelection([{ type: 'shape', id: 'v-circle' }, { type: 'text', id: 'v-text' }]);
+                const selection = parse(canvasMaker.exportSVG({ scope: 'selection', padding: 10 })).documentElement;
+                const viewport = parse(canvasMaker.exportSVG({ scope: 'viewport', background: '#ffffff' })).documentElement;
+                const bounds = canvasMaker.getViewportBounds();
+                let unknownScope = null;
+                try {
+                    canvasMaker.exportSVG({ scope: 'everything' });
+                } catch (error) {
+                    unknownScope = error.message;
+                }
+
+                // Another SVG consumer: our own importer reads the exported drawings back
+                canvasMaker.importState({ version: '1.4' });
+                canvasMaker.importSVG(markup, { x: 0, y: 0 });
+                const reimported = canvasMaker.activeCanvasContext.paths.some(path => path.strokeColor === '#ff0000' && path.strokeWidth === 3);
+
+                return {
+                    parseError: !!svg.querySelector('parsererror'),
+                    namespace: root.namespaceURI,
+                    viewBox: root.getAttribute('viewBox'),
+                    size: `${root.getAttribute('width')}x${root.getAttribute('height')}`,
+                    ids,
+                    elements,
+                    lines: Array.from(textNode.querySelectorAll('tspan')).map(tspan => tspan.textContent),
+                    xhtml: foreign.firstElementChild ? foreign.firstElementChild.namespaceURI : null,
+                    foreignText: foreign.textContent,
+                    hasScript: foreign.getElementsByTagName('script').length > 0,
+                    selectionIds: Array.from(selection.children).map(child => child.id).join(','),
+                    selectionViewBox: selection.getAttribute('viewBox'),
+                    viewportViewBox: viewport.getAttribute('viewBox'),
+                    expectedViewport: [bounds.left, bounds.top, bounds.width, bounds.height].map(value => String(Math.round(value * 100) / 100)).join(' '),
+                    viewportBackground: viewport.firstElementChild && viewport.firstElementChild.getAttribute('fill'),
+                    unknownScope,
+                    reimported
+                };
+            });
+
+            if (result.parseError || result.namespace !== 'http://www.w3.org/2000/svg') {
+                throw new Error('Exported SVG is not a well-formed SVG document');
+            }
+            if (result.viewBox !== '-16 -16 392 352' || result.size !== '392x352') {
+                throw new Error(`Export is not cropped to the content plus padding: ${result.viewBox} (${result.size})`);
+            }
+            if (result.ids.join(',') !== 'v-path,v-rect,v-circle,v-line,v-arrow,v-text,v-nested,v-html') {
+                throw new Error(`Elements missing or not stacked like the screen: ${result.ids.join(',')}`);
+            }
+            const expected = {
+                'v-path': { tag: 'path', attrs: { d: 'M0 0 L40 20 L80 0', stroke: '#ff0000', 'stroke-width': '3', 'stroke-dasharray': '10 5', opacity: '0.5', fill: 'none' } },
+                'v-rect': { tag: 'rect', attrs: { x: '100', y: '0', width: '60', height: '40', rx: '8', fill: '#00ff00', stroke: '#0000ff', 'stroke-width': '4', 'stroke-dasharray': '3 3', opacity: '0.75' } },
+                'v-circle': { tag: 'circle', attrs: { cx: '220', cy: '20', r: '20', fill: '#123456' } },
+                'v-line': { tag: 'line', attrs: { x1: '0', y1: '100', x2: '80', y2: '100' } },
+                'v-arrow': { tag: 'g', attrs: { x2: '180', d: 'M171.34 105 L180 100 L171.34 95' } },
+                'v-text': { tag: 'g', attrs: { 'font-family': 'Georgia', 'font-size': '20', 'font-weight': 'bold', 'font-style': 'italic', fill: '#654321' } },
+                'v-nested': { tag: 'g', attrs: { x: '0', y: '220', width: '160', height: '100', fill: '#eeeeee', 'stroke-dasharray': '5 5' } },
+                'v-html': { tag: 'foreignObject', attrs: { x: '240', y: '120', width: '120', height: '60' } }
+            };
+            Object.entries(expected).forEach(([id, { tag, attrs }]) => {
+                const actual = result.elements[id];
+                const wrong = actual ? Object.keys(attrs).filter(name => actual.attrs[name] !== attrs[name]) : ['element'];
+                if (!actual || actual.tag !== tag || wrong.length > 0) {
+                    throw new Error(`${id} exported wrongly (${wrong.join(', ')}): ${JSON.stringify(actual)}`);
+                }
+            });
+            if (result.lines.join('|') !== 'A < B & "C"|Second line') {
+                throw new Error(`Text lines were not escaped and split: ${JSON.stringify(result.lines)}`);
+            }
+            if (result.xhtml !== 'http://www.w3.org/1999/xhtml' || result.foreignText !== 'Cardbody' || result.hasScript) {
+                throw new Error('HTML component was not embedded as script-free XHTML');
+            }
+            if (result.selectionIds !== 'v-circle,v-text' || result.selectionViewBox !== '-10 -10 260 220') {
+                throw new Error(`Selection export has the wrong elements or bounds: ${result.selectionIds} ${result.selectionViewBox}`);
+            }
+            if (result.viewportViewBox !== result.expectedViewport || result.viewportBackground !== '#ffffff') {
+                throw new Error(`Viewport export does not match the screen: ${result.viewportViewBox} vs ${result.expectedViewport}`);
+            }
+            if (!result.unknownScope || !result.unknownScope.includes('everything')) {
+                throw new Error('An unknown export scope was not rejected');
+            }
+            if (!result.reimported) {
+                throw new Error('Exported drawings could not be read back by the SVG importer');
+            }
+        });
+
+        await this.test('SVG import keeps filled outlines native and sanitizes fallbacks', async () => {
+            const result = await this.page.evaluate(() => {
+                const canvasMaker = window.testAPI.getCanvasMaker();
+                canvasMaker.importState({ version: '1.4' });
+                const refs = canvasMaker.importSVG(`
+                    <svg xmlns="http://www.w3.org/2000/svg" width="300" height="100">
+                        <polygon id="triangle" points="0,0 40,0 20,30" fill="#ff0000"/>
+                        <path id="outlined" d="M60 0 L100 0 L100 40 Z" fill="#00ff00" stroke="#000000" stroke-width="2"/>
+                        <path id="donut" d="M120 0 L160 0 L160 40 L120 40 Z M130 10 L150 10 L150 30 L130 30 Z" fill="#0000ff" onclick="alert(1)"/>
+                        <image x="200" y="0" width="40" height="40" href="javascript:alert(2)" onload="alert(3)"/>
+                    </svg>`, { x: 0, y: 0 });
+
+                const context = canvasMaker.activeCanvasContext;
+                const paths = context.paths.map(path => ({ fillColor: path.fillColor, strokeColor: path.strokeColor, points: path.points.length }));
+                const fallbacks = context.shapes.filter(shape => shape.type === 'reactComponent').map(shape => shape.htmlContent);
+                const hit = canvasMaker.getElementAtPoint(20, 10);
+                return {
+                    refCount: refs.length,
+                    paths,
+                    fallbackCount: fallbacks.length,
+                    unsafe: fallbacks.filter(html => /onclick|onload|javascript:/i.test(html)).length,
+                    hitTriangle: !!hit && hit.type === 'path' && hit.id === context.paths[0].id
+                };
+            });
+
+            if (result.refCount !== 4) {
+                throw new Error(`Expected 4 imported elements, got ${result.refCount}`);
+            }
+            const [triangle, outlined] = result.paths;
+            if (result.paths.length !== 2 || triangle.fillColor !== '#ff0000' || triangle.strokeColor !== 'transparent') {
+                throw new Error(`Filled polygon was not converted to a filled pen path: ${JSON.stringify(result.paths)}`);
+            }
+            if (outlined.fillColor !== '#00ff00' || outlined.strokeColor !== '#000000') {
+                throw new Error(`Filled and stroked path lost its fill or stroke: ${JSON.stringify(outlined)}`);
+            }
+            if (result.fallbackCount !== 2) {
+                throw new Error(`Expected the compound path and the image to fall back, got ${result.fallbackCount} fallbacks`);
+            }
+            if (result.unsafe > 0) {
+                throw new Error('Fallback markup kept event handlers or javascript: URLs');
+            }
+            if (!result.hitTriangle) {
+                throw new Error('Clicking inside a filled path did not hit it');
+            }
+        });
+
+        await this.test('Excalidraw and tldraw fixtures round trip through the converters', async () => {
+            const result = await this.page.evaluate(() => {
+                const canvasMaker = window.testAPI.getCanvasMaker();
+                const excalidrawFixture = { type: 'excalidraw', version: 2, elements: [
+                    { id: 'rect', type: 'rectangle', x: 10, y: 10, width: 100, height: 50, angle: 0, strokeColor: '#1e1e1e', backgroundColor: 'transparent', strokeWidth: 2 },
+                    { id: 'oval', type: 'ellipse', x: 200, y: 0, width: 60, height: 60, angle: 0, strokeColor: '#1e1e1e', backgroundColor: 'transparent', strokeWidth: 2 },
+                    { id: 'link', type: 'arrow', x: 110, y: 35, width: 80, height: 0, angle: 0, points: [[0, 0], [80, 0]], endArrowhead: 'arrow', strokeColor: '#1e1e1e', strokeWidth: 2 },
+                    { id: 'ink', type: 'freedraw', x: 0, y: 100, width: 20, height: 10, angle: 0, points: [[0, 0], [10, 10], [20, 0]], strokeColor: '#1e1e1e', strokeWidth: 2 },
+                    { id: 'label', type: 'text', x: 0, y: 200, width: 40, height: 25, angle: 0, text: 'Hi', fontSize: 20, fontFamily: 1, strokeColor: '#1e1e1e' },
+                    { id: 'frame', type: 'frame', x: 300, y: 0, width: 200, height: 100, angle: 0, name: 'Frame' },
+                    { id: 'child', type: 'rectangle', x: 320, y: 20, width: 40, height: 30, angle: 0, frameId: 'frame', strokeColor: '#1e1e1e', backgroundColor: 'transparent', strokeWidth: 2 }
+                ] };
+                const shape = (id, type, parentId, index, x, y, props) => ({ typeName: 'shape', id, type, parentId, index, x, y, rotation: 0, props });
+                const tldrawFixture = { tldrawFileFormatVersion: 1, records: [
+                    { typeName: 'document', id: 'document:document', name: '' },
+                    { typeName: 'page', id: 'page:page', name: 'Page 1', index: 'a1' },
+                    shape('shape:rect', 'geo', 'page:page', 'a1', 10, 10, { geo: 'rectangle', w: 100, h: 50, color: 'black', size: 'm', fill: 'none' }),
+                    shape('shape:oval', 'geo', 'page:page', 'a2', 200, 0, { geo: 'ellipse', w: 60, h: 60, color: 'black', size: 'm', fill: 'none' }),
+                    shape('shape:link', 'arrow', 'page:page', 'a3', 110, 35, { start: { x: 0, y: 0 }, end: { x: 80, y: 0 }, arrowheadEnd: 'arrow', color: 'black', size: 'm' }),
+                    shape('shape:ink', 'draw', 'page:page', 'a4', 0, 100, { segments: [{ type: 'free', points: [{ x: 0, y: 0, z: 0.5 }, { x: 10, y: 10, z: 0.5 }, { x: 20, y: 0, z: 0.5 }] }], color: 'black', size: 'm' }),
+                    shape('shape:label', 'text', 'page:page', 'a5', 0, 200, { text: 'Hi', w: 40, color: 'black', size: 'm' }),
+                    shape('shape:frame', 'frame', 'page:page', 'a6', 300, 0, { w: 200, h: 100, name: 'Frame' }),
+                    shape('shape:child', 'geo', 'shape:frame', 'a1', 20, 20, { geo: 'rectangle', w: 40, h: 30, color: 'black', size: 'm', fill: 'none' })
+                ] };
+
+                // Colors and fonts are mapped onto each app's palette, so only geometry is compared
+                const round = value => Math.round(value * 10) / 10;
+                const geometry = canvas => ({
+                    shapes: (canvas.shapes || []).map(s => s.type === 'circle' ? `circle ${round(s.x)},${round(s.y)} r${round(s.radius)}` :
+                        (s.type === 'arrow' ? `arrow ${round(s.x1)},${round(s.y1)} -> ${round(s.x2)},${round(s.y2)}` :
+                            `${s.type} ${round(s.x)},${round(s.y)} ${round(s.width)}x${round(s.height)}`)),
+                    paths: (canvas.paths || []).map(p => p.points.map(point => `${round(point.x)},${round(point.y)}`).join(' ')),
+                    texts: (canvas.texts || []).map(t => `${t.text} ${round(t.x)},${round(t.y)}`),
+                    nestedCanvases: (canvas.nestedCanvases || []).map(n => ({
+                        frame: `${round(n.x)},${round(n.y)} ${round(n.width)}x${round(n.height)}`,
+                        content: geometry(n.content || {})
+                    }))
+                });
+
+                const fromExcalidraw = canvasMaker.excalidrawToDocument(excalidrawFixture);
+                const fromTldraw = canvasMaker.tldrawToDocument(tldrawFixture);
+                const excalidraw = canvasMaker.documentToExcalidraw(fromExcalidraw);
+                const tldraw = canvasMaker.documentToTldraw(fromTldraw);
+                const exportedFrame = excalidraw.elements.find(element => element.type === 'frame');
+                return {
+                    excalidrawImport: geometry(fromExcalidraw.root),
+                    tldrawImport: geometry(fromTldraw.root),
+                    excalidrawRoundTrip: geometry(canvasMaker.excalidrawToDocument(excalidraw).root),
+                    tldrawRoundTrip: geometry(canvasMaker.tldrawToDocument(tldraw).root),
+                    excalidrawTypes: excalidraw.elements.map(element => element.type + (element.frameId ? ' in frame' : '')).sort(),
+                    frameChildLinked: !!exportedFrame && excalidraw.elements.some(element => element.frameId === exportedFrame.id),
+                    tldrawTypes: tldraw.records.filter(record => record.typeName === 'shape').map(record => record.type + (String(record.parentId).startsWith('shape:') ? ' in frame' : '')).sort()
+                };
+            });
+
+            const expected = JSON.stringify({
+                shapes: ['rectangle 10,10 100x50', 'circle 230,30 r30', 'arrow 110,35 -> 190,35'],
+                paths: ['0,100 10,110 20,100'],
+                texts: ['Hi -6,194'],
+                nestedCanvases: [{ frame: '300,0 200x100', content: { shapes: ['rectangle 20,20 40x30'], paths: [], texts: [], nestedCanvases: [] } }]
+            });
+            for (const key of ['excalidrawImport', 'tldrawImport', 'excalidrawRoundTrip', 'tldrawRoundTrip']) {
+                if (JSON.stringify(result[key]) !== expected) {
+                    throw new Error(`${key} geometry differs: ${JSON.stringify(result[key])}`);
+                }
+            }
+            const excalidrawTypes = ['arrow', 'ellipse', 'frame', 'freedraw', 'rectangle', 'rectangle in frame', 'text'];
+            if (JSON.stringify(result.excalidrawTypes) !== JSON.stringify(excalidrawTypes) || !result.frameChildLinked) {
+                throw new Error(`Unexpected Excalidraw elements: ${result.excalidrawTypes.join(', ')}`);
+            }
+            const tldrawTypes = ['arrow', 'draw', 'frame', 'geo', 'geo', 'geo in frame', 'text'];
+            if (JSON.stringify(result.tldrawTypes) !== JSON.stringify(tldrawTypes)) {
+                throw new Error(`Unexpected tldraw shapes: ${result.tldrawTypes.join(', ')}`);
+            }
+        });
+
+        await this.test('Paste fragments, SVG, HTML and plain text from the system clipboard', async () => {
+            const result = await this.page.evaluate(async () => {
+                const canvasMaker = window.testAPI.getCanvasMaker();
+                canvasMaker.importState({ version: '1.4' });
+                const context = canvasMaker.activeCanvasContext;
+
+                const fragment = JSON.stringify(canvasMaker.createClipboardFragment([
+                    { type: 'shape', data: { type: 'rectangle', id: 'copied-rect', x: 0, y: 0, width: 40, height: 20 } }
+                ]));
+                const fragmentRefs = await canvasMaker.pasteClipboardContent({ text: fragment }, { x: 200, y: 100 });
+                const pastedRect = canvasMaker.findElementById(fragmentRefs[0].id);
+
+                const svgRefs = await canvasMaker.pasteClipboardContent({
+                    text: '<svg xmlns="http://www.w3.org/2000/svg" width="50" height="50"><circle cx="25" cy="25" r="20" fill="#ff0000"/></svg>'
+                }, { x: 0, y: 0 });
+
+                const htmlRefs = await canvasMaker.pasteClipboardContent({
+                    text: 'Click me',
+                    html: '<!--StartFragment--><button onclick="alert(1)">Click me</button><a href=" javascript:alert(2)">link</a>' +
+                        '<iframe src="data:text/html,<script>alert(3)</script>"></iframe><script>alert(4)</script><!--EndFragment-->'
+                }, { x: 300, y: 300 });
+                const component = context.shapes.find(shape => shape.id === htmlRefs[0].id);
+
+                const textRefs = await canvasMaker.pasteClipboardContent({ text: '  Plain words  ' }, { x: 50, y: 400 });
+                const text = context.texts.find(item => item.id === textRefs[0].id);
+
+                return {
+                    fragment: fragmentRefs.length === 1 && pastedRect && pastedRect.id !== 'copied-rect' ?
+                        `${pastedRect.x},${pastedRect.y} ${pastedRect.width}x${pastedRect.height}` : null,
+                    svg: svgRefs.map(ref => {
+                        const shape = canvasMaker.findElementById(ref.id);
+                        return shape && `${shape.type} ${shape.fillColor}`;
+                    }),
+                    html: component ? component.htmlContent : null,
+                    text: text ? text.text : null
+                };
+            });
+
+            if (result.fragment !== '180,90 40x20') {
+                throw new Error(`Fragment was not pasted centered on the position (got ${result.fragment})`);
+            }
+            if (result.svg.length !== 1 || result.svg[0] !== 'circle #ff0000') {
+                throw new Error(`SVG markup was not imported as native shapes: ${JSON.stringify(result.svg)}`);
+            }
+            if (!result.html || !result.html.includes('Click me')) {
+                throw new Error('HTML snippet was not pasted as a component');
+            }
+            if (/onclick|javascript:|data:text\/html|<script|StartFragment/i.test(result.html)) {
+                throw new Error(`Pasted HTML kept unsafe markup: ${result.html}`);
+            }
+            if (result.text !== 'Plain words') {
+                throw new Error(`Plain text was not pasted as a text element (got ${result.text})`);
+            }
+        });
+
+        await this.test('Pasted fragments are sanitized and pastes go to the active board only', async () => {
+            const result = await this.page.evaluate(async () => {
+                const canvasMaker = window.testAPI.getCanvasMaker();
+                const { CanvasMaker } = window;
+                canvasMaker.importState({ version: '1.4' });
+                const unsafe = '<button onclick="alert(1)">Safe text</button><a href="javascript:alert(2)">link</a><script>alert(3)</script>';
+
+                // HTML in a fragment gets the same cleaning as pasted HTML, nested canvas contents included
+                const fragment = JSON.stringify(canvasMaker.createClipboardFragment([
+                    { type: 'html', data: { id: 'frag-html', x: 0, y: 0, width: 120, height: 60, htmlContent: unsafe } },
+                    {
+                        type: 'nested-canvas',
+                        data: { id: 'frag-nested', x: 200, y: 0, width: 100, height: 100 },
+                        content: { htmlComponents: [{ id: 'frag-inner', x: 0, y: 0, width: 80, height: 40, htmlContent: unsafe }] }
+                    }
+                ]));
+                const refs = await canvasMaker.pasteClipboardContent({ text: fragment }, { x: 100, y: 100 });
+                const pastedHTML = canvasMaker.findElementById(refs.find(ref => ref.type === 'shape').id).htmlContent;
+                const nestedId = refs.find(ref => ref.type === 'nested-canvas').id;
+                const nestedHTML = JSON.stringify(canvasMaker.serializeCanvasData(canvasMaker.loadNestedCanvasData(nestedId)).htmlComponents);
+
+                // No clipboard API (insecure context): the in-app copy is pasted instead of throwing
+                canvasMaker.importState({ version: '1.4' });
+                canvasMaker.clipboard = [{ type: 'text', data: { id: 'copied-text', text: 'In-app copy', x: 0, y: 0 } }];
+                Object.defineProperty(navigator, 'clipboard', { value: undefined, configurable: true });
+                let fallback;
+                try {
+                    fallback = (await canvasMaker.pasteFromSystemClipboard()).map(ref => canvasMaker.findElementById(ref.id).text);
+                } catch (error) {
+                    fallback = error.message;
+                } finally {
+                    delete navigator.clipboard;
+                    canvasMaker.clipboard = [];
+                }
+
+                // Two boards on the page: a keyboard paste lands on one of them
+                const container = document.createElement('div');
+                container.style.cssText = 'position: fixed; left: -10000px; width: 400px; height: 300px;';
+                document.body.appendChild(container);
+                const other = new CanvasMaker(container, { createCanvas: true, createToolbar: false, width: 400, height: 300 });
+                window.canvasMaker = canvasMaker;
+                other.importState({ version: '1.4' });
+                canvasMaker.importState({ version: '1.4' });
+
+                const paste = (words) => {
+                    const event = new Event('paste', { bubbles: true, cancelable: true });
+                    Object.defineProperty(event, 'clipboardData', {
+                        value: { getData: type => type === 'text/plain' ? words : '', files: [] }
+                    });
+                    document.body.dispatchEvent(event);
+                    return new Promise(resolve => setTimeout(resolve, 50));
+                };
+                const texts = instance => instance.activeCanvasContext.texts.map(text => text.text).join(',');
+                const errors = [];
+                const onError = event => errors.push(event.message);
+                window.addEventListener('error', onError);
+
+                try {
+                    await paste('first');
+                    const beforeUse = [texts(canvasMaker), texts(other)];
+
+                    other.canvas.dispatchEvent(new MouseEvent('mousedown', { bubbles: true, clientX: 5, clientY: 5 }));
+                    other.canvas.dispatchEvent(new MouseEvent('mouseup', { bubbles: true, clientX: 5, clientY: 5 }));
+                    await paste('second');
+                    const afterUse = [texts(canvasMaker), texts(other)];
+
+                    other.dispose();
+                    await paste('third');
+                    return {
+                        pastedHTML,
+                        nestedHTML,
+                        fallback,
+                        beforeUse,
+                        afterUse,
+                        afterDispose: texts(canvasMaker),
+                        errors
+                    };
+                } finally {
+                    window.removeEventListener('error', onError);
+                    if (other.canvas) other.dispose();
+                    container.remove();
+                    window.canvasMaker = canvasMaker;
+                }
+            });
+
+            [result.pastedHTML, result.nestedHTML].forEach(html => {
+                if (!html.includes('Safe text') || /onclick|javascript:|<script/i.test(html)) {
+                    throw new Error(`Fragment HTML kept unsafe markup: ${html}`);
+                }
+            });
+            if (JSON.stringify(result.fallback) !== '["In-app copy"]') {
+                throw new Error(`Expected the in-app copy without a clipboard API, got ${JSON.stringify(result.fallback)}`);
+            }
+            if (result.beforeUse.join('|') !== 'first|' || result.afterUse.join('|') !== 'first|second') {
+                throw new Error(`Pastes reached the wrong boards: ${JSON.stringify(result)}`);
+            }
+            if (result.afterDispose !== 'first,third' || result.errors.length > 0) {
+                throw new Error(`A disposed board still handled a paste: ${result.afterDispose} ${result.errors.join('; ')}`);
+            }
+        });
+
+        await this.test('Dropped images become image shapes and dropped HTML is sanitized', async () => {
+            const result = await this.page.evaluate(async () => {
+                const canvasMaker = window.testAPI.getCanvasMaker();
+                canvasMaker.importState({ version: '1.4' });
+
+                const source = document.createElement('canvas');
+                source.width = 40;
+                source.height = 20;
+                const sourceContext = source.getContext('2d');
+                sourceContext.fillStyle = '#ff0000';
+                sourceContext.fillRect(0, 0, 40, 20);
+                const blob = await new Promise(resolve => source.toBlob(resolve, 'image/png'));
+                const png = new File([blob], 'red.png', { type: 'image/png' });
+                const page = new File([
+                    '<html><head><style>p { color: red; }</style></head>' +
+                    '<body><button onclick="steal()">Go</button><a href="javascript:steal()">link</a></body></html>'
+                ], 'page.html', { type: 'text/html' });
+
+                const refs = await canvasMaker.importFiles([png, page], { x: 100, y: 100 });
+                const image = canvasMaker.findElementById(refs[0].id);
+                const component = canvasMaker.findElementById(refs[1].id);
+                const hit = canvasMaker.getElementAtPoint(120, 110);
+
+                canvasMaker.selectedElements = [{ type: 'shape', id: image.id }];
+                const svg = canvasMaker.exportSVG({ scope: 'selection' });
+                const dataURL = await canvasMaker.exportImage({ region: 'selection', scale: 1, padding: 0, output: 'dataURL' });
+                const exported = new Image();
+                await new Promise(resolve => {
+                    exported.onload = resolve;
+                    exported.onerror = resolve;
+                    exported.src = dataURL;
+                });
+                const check = document.createElement('canvas');
+                check.width = 40;
+                check.height = 20;
+                const checkContext = check.getContext('2d');
+                checkContext.drawImage(exported, 0, 0);
+
+                return {
+                    image: image && `${image.type} ${image.x},${image.y} ${image.width}x${image.height}`,
+                    isDataURL: !!image && image.src.startsWith('data:image/png'),
+                    hit: !!hit && hit.id === image.id,
+                    svgImage: svg.includes(`<image id="${image.id}" x="100" y="100" width="40" height="20"`),
+                    pixel: Array.from(checkContext.getImageData(20, 10, 1, 1).data),
+                    stateErrors: canvasMaker.validateState(canvasMaker.exportState()).length,
+                    missingSrc: canvasMaker.validateState({
+                        version: '1.4',
+                        shapes: [{ id: 'no-src', type: 'image', x: 0, y: 0, width: 10, height: 10 }]
+                    }).map(error => error.path),
+                    html: component ? component.htmlContent : null
+                };
+            });
+
+            if (result.image !== 'image 100,100 40x20' || !result.isDataURL) {
+                throw new Error(`Dropped PNG did not become a 40x20 image shape at the drop point (got ${result.image})`);
+            }
+            if (!result.hit) {
+                throw new Error('Clicking the image did not hit it');
+            }
+            if (!result.svgImage) {
+                throw new Error('SVG export is missing the image');
+            }
+            if (result.pixel[0] !== 255 || result.pixel[1] !== 0 || result.pixel[2] !== 0) {
+                throw new Error(`Image export did not draw the image (center pixel ${result.pixel.join(',')})`);
+            }
+            if (result.stateErrors !== 0 || result.missingSrc.join(',') !== 'shapes[0].src') {
+                throw new Error(`Unexpected validation of image shapes: ${result.stateErrors} errors, missing src -> ${result.missingSrc.join(',')}`);
+            }
+            if (!result.html || !result.html.includes('<button>Go</button>') || /onclick|javascript:/i.test(result.html)) {
+                throw new Error(`Dropped HTML was not sanitized: ${result.html}`);
+            }
+        });
+
+        await this.test('Dropped state files are sanitized and disposed boards ignore drops', async () => {
+            const result = await this.page.evaluate(async () => {
+                const canvasMaker = window.testAPI.getCanvasMaker();
+                const { CanvasMaker } = window;
+                canvasMaker.importState({ version: '1.4' });
+                const unsafe = '<button onclick="steal()">Go</button><a href="javascript:steal()">link</a><script>steal()</script>';
+                const state = {
+                    version: '1.4',
+                    htmlComponents: [{ id: 'drop-html', x: 0, y: 0, width: 120, height: 60, htmlContent: unsafe }],
+                    nestedCanvases: [{
+                        id: 'drop-nested', x: 200, y: 0, width: 100, height: 100,
+                        content: { htmlComponents: [{ id: 'drop-inner', x: 0, y: 0, width: 80, height: 40, htmlContent: unsafe }] }
+                    }]
+                };
+                const file = new File([JSON.stringify(state)], 'board.json', { type: 'application/json' });
+                const refs = await canvasMaker.importFiles([file], { x: 100, y: 100 });
+                const html = canvasMaker.findElementById(refs.find(ref => ref.type === 'shape').id).htmlContent;
+                const nestedId = refs.find(ref => ref.type === 'nested-canvas').id;
+                const nestedHTML = JSON.stringify(canvasMaker.serializeCanvasData(canvasMaker.loadNestedCanvasData(nestedId)).htmlComponents);
+
+                // A disposed board no longer claims drags over its old canvas element
+                const container = document.createElement('div');
+                container.style.cssText = 'position: fixed; left: -10000px; width: 400px; height: 300px;';
+                document.body.appendChild(container);
+                const other = new CanvasMaker(container, { createCanvas: true, createToolbar: false, width: 400, height: 300 });
+                window.canvasMaker = canvasMaker;
+                const canvasElement = other.canvas;
+                other.dispose();
+                const dragOver = new Event('dragover', { bubbles: true, cancelable: true });
+                Object.defineProperty(dragOver, 'dataTransfer', { value: { files: [], dropEffect: 'none' } });
+                canvasElement.dispatchEvent(dragOver);
+                container.remove();
+                window.canvasMaker = canvasMaker;
+
+                return { html, nestedHTML, handledAfterDispose: dragOver.defaultPrevented };
+            });
+
+            [result.html, result.nestedHTML].forEach(html => {
+                if (!html.includes('Go</button>') || /onclick|javascript:|<script/i.test(html)) {
+                    throw new Error(`Dropped state kept unsafe markup: ${html}`);
+                }
+            });
+            if (result.handledAfterDispose) {
+                throw new Error('A disposed board still handled dragover');
+            }
+        });
+
+        await this.test('Code export infers rows, columns and grids from component positions', async () => {
+            const result = await this.page.evaluate(() => {
+                const canvasMaker = window.testAPI.getCanvasMaker();
+                const item = (id, x, y, width, height) => ({ id, bounds: { x, y, width, height } });
+                // Compact notation: direction(gap, align: children), extra spacing as +n before a child
+                const describe = node => {
+                    if (node.type === 'item') return node.item.id;
+                    if (node.type === 'stack') {
+                        const children = node.children.map(child => (child.spacing ? `+${child.spacing} ` : '') + describe(child.node));
+                        return `${node.direction}(${node.gap}, ${node.align}: ${children.join(' ')})`;
+                    }
+                    if (node.type === 'grid') {
+                        const cells = node.cells.map(cell => `${describe(cell.node)}@${cell.row},${cell.column}`);
+                        return `grid(${node.columns.join('/')} x ${node.rows.join('/')}, ${node.columnGap}/${node.rowGap}: ${cells.join(' ')})`;
+                    }
+                    return `absolute(${node.children.map(describe).join(' ')})`;
+                };
+                const infer = items => describe(canvasMaker.inferComponentLayout(items));
+
+                return {
+                    row: infer([item('c', 220, 5, 100, 30), item('a', 0, 0, 100, 40), item('b', 110, 10, 100, 20)]),
+                    column: infer([item('a', 0, 0, 100, 50), item('b', 0, 60, 100, 50), item('c', 0, 130, 100, 50)]),
+                    grid: infer([item('a', 0, 0, 100, 50), item('b', 120, 0, 100, 50), item('c', 0, 70, 100, 50), item('d', 120, 70, 100, 50)]),
+                    nested: infer([item('header', 0, 0, 300, 40), item('sidebar', 0, 60, 80, 200), item('main', 100, 60, 200, 200)]),
+                    overlapping: infer([item('a', 0, 0, 100, 100), item('b', 50, 50, 100, 100)])
+                };
+            });
+
+            const expected = {
+                row: 'row(10, center: a b c)',
+                column: 'column(10, start: a b +10 c)',
+                grid: 'grid(100/100 x 50/50, 20/20: a@0,0 b@0,1 c@1,0 d@1,1)',
+                nested: 'column(20, start: header row(20, start: sidebar main))',
+                overlapping: 'absolute(a b)'
+            };
+            Object.entries(expected).forEach(([name, layout]) => {
+                if (result[name] !== layout) {
+                    throw new Error(`Expected ${name} layout ${layout}, got ${result[name]}`);
+                }
+            });
+        });
+
+        await this.test('React export maps attributes, styles and inline handlers', async () => {
+            const result = await this.page.evaluate(() => {
+                const canvasMaker = window.testAPI.getCanvasMaker();
+                const shape = {
+                    type: 'reactComponent', id: 'react-export-test', x: 0, y: 0, width: 200, height: 100,
+                    htmlContent: '<style>.card { color: blue; } .card button:hover { color: red; }</style>' +
+                        '<div id="signup-card" class="card" style="background-color: #fff; margin-top: 4px; --accent: red">' +
+                        '<label for="email">Email</label><input id="email" type="text" value="me" tabindex="1" readonly maxlength="20">' +
+                        '<input type="checkbox" checked><textarea>Notes</textarea>' +
+                        '<button onclick="submitForm()" onmouseenter="highlight()">Send</button>' +
+                        '<svg viewBox="0 0 10 10" stroke-width="2"><path d="M0 0" fill-rule="evenodd"/></svg></div>'
+                };
+                const { name, files } = canvasMaker.convertComponentToReact(shape, 0, new Set(['Existing']));
+                return { name, paths: files.map(file => file.path), tsx: files[0].content, css: files[1] ? files[1].content : '' };
+            });
+
+            if (result.name !== 'SignupCard' || result.paths.join(',') !== 'src/components/SignupCard.tsx,src/components/SignupCard.css') {
+                throw new Error(`Unexpected component files: ${result.name} ${result.paths.join(',')}`);
+            }
+            const expectedTSX = [
+                'className="card"',
+                'htmlFor="email"',
+                'defaultValue="me" tabIndex={1} readOnly maxLength={20}',
+                '<input type="checkbox" defaultChecked />',
+                '<textarea defaultValue={\'Notes\'} />',
+                'marginTop: \'4px\'',
+                '\'--accent\': \'red\' } as React.CSSProperties',
+                'strokeWidth="2"',
+                'fillRule="evenodd"',
+                '/** Replaces onclick="submitForm()" */',
+                'onSendClick?: (event: React.MouseEvent<HTMLButtonElement>) => void;',
+                'export default function SignupCard({ onSendClick, onSendMouseEnter }: SignupCardProps)',
+                '<button onClick={onSendClick} onMouseEnter={onSendMouseEnter}>Send</button>',
+                'import \'./SignupCard.css\';'
+            ];
+            const missing = expectedTSX.filter(fragment => !result.tsx.includes(fragment));
+            if (missing.length > 0) {
+                throw new Error(`React output is missing ${missing.join(' | ')}:\n${result.tsx}`);
+            }
+            if (/onclick=|class=|<style|style="/.test(result.tsx.replace(/\/\*\*.*\*\//g, ''))) {
+                throw new Error('React output kept HTML-only attributes or markup');
+            }
+            if (!result.css.includes('.signup-card .card {') || !result.css.includes('.signup-card .card button:hover {')) {
+                throw new Error(`Component CSS was not scoped to the component: ${result.css}`);
+            }
+        });
+
+        await this.test('Native code export maps component structure to each platform', async () => {
+            const result = await this.page.evaluate(() => {
+                const canvasMaker = window.testAPI.getCanvasMaker();
+                const components = [
+                    {
+                        type: 'reactComponent', id: 'native-heading', x: 0, y: 0, width: 200, height: 120,
+                        htmlContent: '<div><h1 style="color: #1d4ed8; font-size: 24px">Welcome</h1><p>Sign in to continue</p></div>'
+                    },
+                    {
+                        type: 'reactComponent', id: 'native-form', x: 220, y: 0, width: 200, height: 120,
+                        htmlContent: '<div><input placeholder="Email"><button style="background-color: #2563eb; color: #ffffff">Sign in</button></div>'
+                    }
+                ];
+                const platforms = {};
+                ['ios', 'android', 'flutter', 'react-native'].forEach(platform => {
+                    const files = canvasMaker.generatePlatformFiles(components, platform);
+                    platforms[platform] = { paths: files.map(file => file.path), code: files.map(file => file.content).join('\n') };
+                });
+                return platforms;
+            });
+
+            const expected = {
+                ios: {
+                    paths: ['CanvasView.swift', 'Components/Welcome.swift', 'Components/Component2.swift'],
+                    fragments: ['HStack(alignment: .top, spacing: 20)', 'Text("Welcome")', '.font(.system(size: 24, weight: .semibold))',
+                        'TextField("Email", text: $emailText)', 'Button(action: {', '.background(Color(red: 0.145, green: 0.388, blue: 0.922))']
+                },
+                android: {
+                    paths: ['CanvasScreen.kt', 'components/Welcome.kt', 'components/Component2.kt'],
+                    fragments: ['Row(horizontalArrangement = Arrangement.spacedBy(20.dp))', 'text = "Welcome"', 'fontSize = 24.sp',
+                        'placeholder = { Text("Email") }', 'containerColor = Color(0xFF2563EB)']
+                },
+                flutter: {
+                    paths: ['lib/canvas_widget.dart', 'lib/components/welcome.dart', 'lib/components/component2.dart'],
+                    fragments: ['const SizedBox(width: 20)', "'Welcome'", 'fontSize: 24', "hintText: 'Email'", 'ElevatedButton(',
+                        'backgroundColor: Color(0xFF2563EB)']
+                },
+                'react-native': {
+                    paths: ['CanvasScreen.js', 'components/Welcome.js', 'components/Component2.js'],
+                    fragments: ["flexDirection: 'row'", 'gap: 20', '>Welcome</Text>', '<TextInput placeholder="Email"',
+                        '<TouchableOpacity onPress=', "backgroundColor: '#2563eb'"]
+                }
+            };
+            Object.entries(expected).forEach(([platform, { paths, fragments }]) => {
+                const output = result[platform];
+                if (paths.some(path => !output.paths.includes(path))) {
+                    throw new Error(`${platform} export wrote ${output.paths.join(', ')}`);
+                }
+                const missing = fragments.filter(fragment => !output.code.includes(fragment));
+                if (missing.length > 0) {
+                    throw new Error(`${platform} export is missing ${missing.join(' | ')}`);
+                }
+            });
+        });
+
+        await this.test('Project export writes a valid zip archive', async () => {
+            const result = await this.page.evaluate(async () => {
+                const canvasMaker = window.testAPI.getCanvasMaker();
+                const encoder = new TextEncoder();
+
+                const zip = new CanvasZipWriter();
+                zip.add('docs/read me.txt', 'Café\n');
+                zip.add('assets/bytes.bin', new Uint8Array([0, 1, 2, 255]));
+                const bytes = new Uint8Array(await zip.toBlob(new Date(2024, 4, 17, 13, 45, 30)).arrayBuffer());
+                const view = new DataView(bytes.buffer);
+                const decoder = new TextDecoder();
+
+                // Walk the local headers, then compare them with the central directory
+                const locals = [];
+                let offset = 0;
+                while (view.getUint32(offset, true) === 0x04034b50) {
+                    const size = view.getUint32(offset + 18, true);
+                    const nameLength = view.getUint16(offset + 26, true);
+                    const dataStart = offset + 30 + nameLength;
+                    locals.push({
+                        offset,
+                        flags: view.getUint16(offset + 6, true),
+                        method: view.getUint16(offset + 8, true),
+                        time: view.getUint16(offset + 10, true),
+                        date: view.getUint16(offset + 12, true),
+                        crc: view.getUint32(offset + 14, true),
+                        crcMatches: view.getUint32(offset + 14, true) === CanvasZipWriter.crc32(bytes.slice(dataStart, dataStart + size)),
+                        sizesMatch: size === view.getUint32(offset + 22, true),
+                        name: decoder.decode(bytes.slice(offset + 30, dataStart)),
+                        data: Array.from(bytes.slice(dataStart, dataStart + size))
+                    });
+                    offset = dataStart + size;
+                }
+                const end = bytes.length - 22;
+                const centralOffsets = [];
+                for (let at = view.getUint32(end + 16, true); view.getUint32(at, true) === 0x02014b50;
+                    at += 46 + view.getUint16(at + 28, true)) {
+                    centralOffsets.push(view.getUint32(at + 42, true));
+                }
+
+                canvasMaker.importState({ version: '1.4' });
+                canvasMaker.addReactComponentWithHTML(0, 0, 200, 100, '<button>Export me</button>');
+                const project = new Uint8Array(await (await canvasMaker.exportProject({ platform: 'web' })).arrayBuffer());
+                let unknownPlatform = null;
+                try {
+                    await canvasMaker.exportProject({ platform: 'vue' });
+                } catch (error) {
+                    unknownPlatform = error.message;
+                }
+
+                return {
+                    vectors: [CanvasZipWriter.crc32(encoder.encode('123456789')), CanvasZipWriter.crc32(new Uint8Array(0))],
+                    locals,
+                    centralOffsets,
+                    centralStart: view.getUint32(end + 16, true),
+                    endSignature: view.getUint32(end, true) === 0x06054b50,
+                    entryCounts: [view.getUint16(end + 8, true), view.getUint16(end + 10, true)],
+                    projectStart: Array.from(project.slice(0, 4)),
+                    projectHasIndex: new TextDecoder().decode(project).includes('canvas-web/index.html'),
+                    unknownPlatform
+                };
+            });
+
+            if (result.vectors[0] !== 0xcbf43926 || result.vectors[1] !== 0) {
+                throw new Error(`CRC-32 check values are wrong: ${result.vectors.map(value => value.toString(16)).join(', ')}`);
+            }
+            const [text, binary] = result.locals;
+            if (result.locals.length !== 2 || text.name !== 'docs/read me.txt' || binary.name !== 'assets/bytes.bin') {
+                throw new Error(`Unexpected local entries: ${result.locals.map(entry => entry.name).join(', ')}`);
+            }
+            if (text.data.join(',') !== '67,97,102,195,169,10' || binary.data.join(',') !== '0,1,2,255') {
+                throw new Error('Entry data was not stored as is (UTF-8 text, raw bytes)');
+            }
+            if (!result.locals.every(entry => entry.crcMatches && entry.sizesMatch && entry.method === 0 && entry.flags === 0x0800)) {
+                throw new Error('Local headers have wrong CRCs, sizes, method or UTF-8 flag');
+            }
+            // 13:45:30 on 2024-05-17 in MS-DOS format
+            if (text.time !== ((13 << 11) | (45 << 5) | 15) || text.date !== ((44 << 9) | (5 << 5) | 17)) {
+                throw new Error(`Wrong MS-DOS timestamp: ${text.time} ${text.date}`);
+            }
+            if (result.centralOffsets.join(',') !== result.locals.map(entry => entry.offset).join(',') || !result.endSignature ||
+                result.entryCounts.join(',') !== '2,2') {
+                throw new Error('Central directory does not match the local entries');
+            }
+            if (result.projectStart.join(',') !== '80,75,3,4' || !result.projectHasIndex) {
+                throw new Error('Project export is not a zip holding canvas-web/index.html');
+            }
+            if (!/Unknown platform "vue"/.test(result.unknownPlatform || '')) {
+                throw new Error(`Unsupported platforms should be rejected (got ${result.unknownPlatform})`);
+            }
+        });
+
+        await this.test('Design tokens cluster near-duplicate colors and sizes', async () => {
+            const result = await this.page.evaluate(() => {
+                const canvasMaker = window.testAPI.getCanvasMaker();
+                const shape = (id, htmlContent) => ({ type: 'reactComponent', id, x: 0, y: 0, width: 200, height: 100, htmlContent });
+                const components = [
+                    shape('tokens-save', '<div style="background-color: #3b82f6; color: #ffffff; font-size: 16px; padding: 8px">Save</div>'),
+                    shape('tokens-send', '<div style="background-color: #3b83f6; color: #ffffff; font-size: 15px; padding: 8px">Send</div>'),
+                    shape('tokens-error', '<div style="color: #ef4444; font-size: 16px">Error</div>'),
+                    shape('tokens-card', '<div style="background-color: #3b82f6; padding: 16px"><span style="color: #111827; font-size: 24px">Title</span></div>')
+                ];
+                const describe = list => list.map(token => `${token.name}=${token.value} x${token.count} [${token.values.join(' ')}]`);
+                const { tokens, css } = canvasMaker.extractDesignTokens({ components });
+                const strict = canvasMaker.extractDesignTokens({ components, colorTolerance: 0 }).tokens;
+                return {
+                    colors: describe(tokens.colors),
+                    fontSizes: describe(tokens.fontSizes),
+                    spacing: describe(tokens.spacing),
+                    strictBlues: strict.colors.filter(token => token.name.startsWith('blue')).length,
+                    css
+                };
+            });
+
+            const expectColors = ['white=#ffffff x2 [#ffffff]', 'blue-400=#3b82f6 x3 [#3b82f6 #3b83f6]', 'red-400=#ef4444 x1 [#ef4444]', 'gray-900=#111827 x1 [#111827]'];
+            if (JSON.stringify(result.colors) !== JSON.stringify(expectColors)) {
+                throw new Error(`Unexpected color tokens: ${result.colors.join(', ')}`);
+            }
+            if (JSON.stringify(result.fontSizes) !== JSON.stringify(['base=16px x3 [16px 15px]', '2xl=24px x1 [24px]'])) {
+                throw new Error(`Unexpected font size tokens: ${result.fontSizes.join(', ')}`);
+            }
+            if (JSON.stringify(result.spacing) !== JSON.stringify(['2=8px x8 [8px]', '4=16px x4 [16px]'])) {
+                throw new Error(`Unexpected spacing tokens: ${result.spacing.join(', ')}`);
+            }
+            if (result.strictBlues !== 2) {
+                throw new Error('A zero color tolerance should keep near-duplicate colors apart');
+            }
+            if (!result.css.includes('--color-blue-400: #3b82f6;') || !result.css.includes('--text-base: 16px;') || !result.css.includes('--spacing-2: 8px;')) {
+                throw new Error(`Token CSS is missing variables:\n${result.css}`);
+            }
+        });
+
+        await this.test('AI requests report progress, errors and cancellation', async () => {
+            const result = await this.page.evaluate(async () => {
+                const canvasMaker = window.testAPI.getCanvasMaker();
+                const image = new Blob(['not really a png'], { type: 'image/png' });
+                const stages = [];
+                const errors = [];
+                const onProgress = update => stages.push(update.stage);
+                const onError = ({ error }) => errors.push(error);
+                canvasMaker.on('aiProgress', onProgress);
+                canvasMaker.on('aiError', onError);
+
+                try {
+                    // Success: every stage is reported before the HTML comes back
+                    const provider = canvasMaker.setAIProvider({ type: 'mock', delay: 10, html: '<h1>Generated</h1>' });
+                    const html = await canvasMaker.sendToAI(image);
+                    const success = {
+                        html,
+                        stages: stages.splice(0),
+                        imageDataURL: provider.requests[0].imageDataURL.startsWith('data:image/png'),
+                        pending: canvasMaker.aiRequest
+                    };
+
+                    // Failure: Make Real turns a provider error into an aiError event and adds nothing
+                    canvasMaker.importState({ version: '1.4' });
+                    canvasMaker.setAIProvider({ type: 'mock', delay: 10, error: new CanvasMaker.AIError('Quota exceeded', 'http', { status: 429 }) });
+                    const rect = { type: 'rectangle', id: 'ai-error-rect', x: 0, y: 0, width: 100, height: 60 };
+                    canvasMaker.recordHistory('Add', () => canvasMaker.shapes.push(rect));
+                    canvasMaker.setSelection([{ type: 'shape', id: rect.id }]);
+                    await canvasMaker.makeReal();
+                    const failure = {
+                        errors: errors.map(error => `${error.code} ${error.status} ${error.message}`),
+                        components: canvasMaker.shapes.filter(shape => shape.type === 'reactComponent').length
+                    };
+
+                    // Cancellation mid-request rejects with 'cancelled' and frees the slot
+                    stages.length = 0;
+                    canvasMaker.setAIProvider({ type: 'mock', delay: 5000 });
+                    const pending = canvasMaker.sendToAI(image);
+                    await new Promise(resolve => setTimeout(resolve, 50));
+                    const stageBeforeCancel = canvasMaker.aiRequest && canvasMaker.aiRequest.stage;
+                    const cancelledNow = canvasMaker.cancelAIRequest();
+                    let code = null;
+                    try {
+                        await pending;
+                    } catch (error) {
+                        code = error.code;
+                    }
+                    return {
+                        success,
+                        failure,
+                        cancel: { stageBeforeCancel, cancelledNow, code, pending: canvasMaker.aiRequest, cancelledAgain: canvasMaker.cancelAIRequest() }
+                    };
+                } finally {
+                    canvasMaker.off('aiProgress', onProgress);
+                    canvasMaker.off('aiError', onError);
+                    canvasMaker.setAIProvider(null);
+                }
+            });
+
+            const { success, failure, cancel } = result;
+            if (success.html !== '<h1>Generated</h1>' || success.stages.join(',') !== 'preparing,sending,parsing') {
+                throw new Error(`Unexpected success path: ${success.stages.join(',')} -> ${success.html}`);
+            }
+            if (!success.imageDataURL || success.pending !== null) {
+                throw new Error('The provider did not get the image, or the request was left pending');
+            }
+            if (failure.errors.join('|') !== 'http 429 Quota exceeded' || failure.components !== 0) {
+                throw new Error(`Provider errors should become one aiError and no component: ${failure.errors.join('|')}, ${failure.components} components`);
+            }
+            if (cancel.stageBeforeCancel !== 'sending' || !cancel.cancelledNow || cancel.code !== 'cancelled') {
+                throw new Error(`Cancelling mid-request should reject with 'cancelled' (stage ${cancel.stageBeforeCancel}, code ${cancel.code})`);
+            }
+            if (cancel.pending !== null || cancel.cancelledAgain) {
+                throw new Error('aiRequest was not cleared after cancelling');
+            }
+        });
+
+        await this.test('Component snapshots inline images that follow a canvas', async () => {
+            const result = await this.page.evaluate(async () => {
+                const canvasMaker = window.testAPI.getCanvasMaker();
+                const pixel = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==';
+                const fetched = [];
+                const originalFetch = window.fetch;
+                window.fetch = async url => {
+                    fetched.push(String(url));
+                    const bytes = Uint8Array.from(atob(pixel), c => c.charCodeAt(0));
+                    return { ok: true, blob: async () => new Blob([bytes], { type: 'image/png' }) };
+                };
+
+                try {
+                    const shape = canvasMaker.addReactComponentWithHTML(0, 0, 200, 100,
+                        '<canvas width="10" height="10"></canvas><img class="logo" src="https://example.test/logo.png">');
+                    const snapshot = await canvasMaker.snapshotHTMLComponent(shape);
+                    canvasMaker.removeReactComponent(shape.id);
+
+                    const doc = new DOMParser().parseFromString(snapshot.markup, 'text/html');
+                    return {
+                        fetched,
+                        images: Array.from(doc.querySelectorAll('img')).map(image => ({
+                            logo: image.classList.contains('logo'),
+                            src: image.getAttribute('src').slice(0, 22)
+                        }))
+                    };
+                } finally {
+                    window.fetch = originalFetch;
+                }
+            });
+
+            const [fromCanvas, logo] = result.images;
+            if (result.images.length !== 2 || !fromCanvas || fromCanvas.logo || !logo || !logo.logo) {
+                throw new Error(`Expected the canvas image followed by the logo: ${JSON.stringify(result.images)}`);
+            }
+            if (result.fetched.join() !== 'https://example.test/logo.png' || logo.src !== 'data:image/png;base64,') {
+                throw new Error(`The logo was not inlined from its own URL: ${JSON.stringify(result)}`);
+            }
+        });
+
+        await this.test('Make Real places results beside the sketch and each refinement beside the last', async () => {
+            const result = await this.page.evaluate(async () => {
+                const canvasMaker = window.testAPI.getCanvasMaker();
+                canvasMaker.importState({ version: '1.4' });
+                const results = [];
+                const onResult = event => results.push(event);
+                canvasMaker.on('makeRealResult', onResult);
+
+                try {
+                    canvasMaker.setAIProvider({ type: 'mock', delay: 10, html: '<button>First</button>' });
+                    const sketch = { type: 'rectangle', id: 'make-real-sketch', x: 100, y: 50, width: 200, height: 80 };
+                    canvasMaker.recordHistory('Add', () => canvasMaker.shapes.push(sketch));
+                    canvasMaker.setSelection([{ type: 'shape', id: sketch.id }]);
+                    await canvasMaker.makeReal();
+                    const first = canvasMaker.shapes.find(shape => shape.type === 'reactComponent');
+                    const placed = first && { x: first.x, y: first.y, width: first.width, height: first.height, html: first.htmlContent };
+
+                    // The next round goes beside the first one, at its size once fitted to its content
+                    await new Promise(resolve => setTimeout(resolve, 200));
+                    const before = { x: first.x, y: first.y, width: first.width, height: first.height };
+                    canvasMaker.setAIProvider({ type: 'mock', delay: 10, html: '<button>Second</button>' });
+                    await canvasMaker.makeRealAgain(first.id);
+                    const second = canvasMaker.shapes.filter(shape => shape.type === 'reactComponent').pop();
+
+                    return {
+                        placed,
+                        before,
+                        second: { x: second.x, y: second.y, width: second.width, height: second.height, html: second.htmlContent },
+                        rounds: results.map(event => `${event.round}:${event.sourceIds.join('+')}:${event.previousId}`),
+                        firstId: first.id,
+                        selected: canvasMaker.selectedElements.map(ref => ref.id)
+                    };
+                } finally {
+                    canvasMaker.off('makeRealResult', onResult);
+                    canvasMaker.setAIProvider(null);
+                }
+            });
+
+            const { placed, before, second } = result;
+            // 60px right of the sketch, at least 320x240
+            if (!placed || placed.x !== 360 || placed.y !== 50 || placed.width !== 320 || placed.height !== 240 || !placed.html.includes('First')) {
+                throw new Error(`First result misplaced: ${JSON.stringify(placed)}`);
+            }
+            if (second.x !== before.x + before.width + 60 || second.y !== before.y ||
+                second.width !== before.width || second.height !== before.height || !second.html.includes('Second')) {
+                throw new Error(`Refined result misplaced: ${JSON.stringify(second)}`);
+            }
+            const expected = ['1:make-real-sketch:null', `2:${result.firstId}:${result.firstId}`];
+            if (result.rounds.join('|') !== expected.join('|')) {
+                throw new Error(`Unexpected makeRealResult events: ${result.rounds.join('|')}`);
+            }
+            if (result.selected.length !== 1 || result.selected[0] === result.firstId) {
+                throw new Error('The new result should be selected');
+            }
+        });
+
+        await this.test('Partial streamed HTML is cut and closed before rendering', async () => {
+            const result = await this.page.evaluate(() => {
+                const canvasMaker = window.testAPI.getCanvasMaker();
+                const cases = [
+                    '<div class="card"><h1>Title</h1><p>Some <b>bold',
+                    '<ul><li>One</li><li class="sec',
+                    '<p>Fish &amp; chips &am',
+                    '<main><p>Ready</p><script>document.body.innerHTML = "',
+                    '<section><!-- a comment that is not finish',
+                    '```html\n<div><span>Fenced',
+                    '``'
+                ];
+                return cases.map(text => canvasMaker.closePartialHTML(text));
+            });
+
+            const expected = [
+                '<div class="card"><h1>Title</h1><p>Some <b>bold</b></p></div>',
+                '<ul><li>One</li></ul>',
+                '<p>Fish &amp; chips </p>',
+                '<main><p>Ready</p></main>',
+                '<section></section>',
+                '<div><span>Fenced</span></div>',
+                ''
+            ];
+            const wrong = expected.filter((html, i) => result[i] !== html);
+            if (wrong.length) {
+                throw new Error(`Unexpected partial HTML:\n${result.join('\n')}`);
+            }
+        });
+
+        await this.test('Streamed Make Real results render while text arrives and undo in one step', async () => {
+            const result = await this.page.evaluate(async () => {
+                const canvasMaker = window.testAPI.getCanvasMaker();
+                canvasMaker.importState({ version: '1.4' });
+                const html = '<div class="streamed"><h1>Streaming title</h1><p>A paragraph long enough to arrive over several parts.</p></div>';
+                canvasMaker.setAIProvider({ type: 'mock', delay: 400, stream: true, html });
+                const texts = [];
+                const onProgress = update => {
+                    if (update.stage === 'receiving') texts.push(update.text);
+                };
+                canvasMaker.on('aiProgress', onProgress);
+
+                try {
+                    const sketch = { type: 'rectangle', id: 'stream-sketch', x: 0, y: 0, width: 100, height: 60 };
+                    canvasMaker.recordHistory('Add', () => canvasMaker.shapes.push(sketch));
+                    canvasMaker.setSelection([{ type: 'shape', id: sketch.id }]);
+
+                    const components = () => canvasMaker.shapes.filter(shape => shape.type === 'reactComponent');
+                    const running = canvasMaker.makeReal();
+                    const seen = [];
+                    // The request starts once the selection is rasterized
+                    while (!canvasMaker.aiRequest) {
+                        await new Promise(resolve => setTimeout(resolve, 10));
+                    }
+                    while (canvasMaker.aiRequest) {
+                        await new Promise(resolve => setTimeout(resolve, 40));
+                        const component = components()[0];
+                        if (component) {
+                            const element = canvasMaker.htmlComponents.get(component.id);
+                            seen.push({
+                                id: component.id,
+                                html: component.htmlContent,
+                                badge: Boolean(element && element.querySelector('.canvas-ai-badge'))
+                            });
+                        }
+                    }
+                    await running;
+
+                    const final = components();
+                    const finalElement = final[0] && canvasMaker.htmlComponents.get(final[0].id);
+                    const summary = {
+                        texts: texts.length,
+                        seen,
+                        final: final.map(component => ({ id: component.id, html: component.htmlContent })),
+                        badgeAfter: Boolean(finalElement && finalElement.querySelector('.canvas-ai-badge'))
+                    };
+                    canvasMaker.undo();
+                    summary.afterUndo = components().length;
+                    summary.sketchAfterUndo = canvasMaker.shapes.some(shape => shape.id === sketch.id);
+                    canvasMaker.redo();
+                    summary.afterRedo = components().length;
+                    return summary;
+                } finally {
+                    canvasMaker.off('aiProgress', onProgress);
+                    canvasMaker.setAIProvider(null);
+                }
+            });
+
+            if (result.texts !== 20) {
+                throw new Error(`Expected 20 streamed parts, got ${result.texts}`);
+            }
+            const partial = result.seen.filter(state => state.html !== result.final[0].html);
+            if (partial.length === 0 || !partial.every(state => state.badge)) {
+                throw new Error(`The component should render partial markup with a progress badge: ${JSON.stringify(result.seen)}`);
+            }
+            if (result.final.length !== 1 || !result.seen.every(state => state.id === result.final[0].id)) {
+                throw new Error('Streaming should update one component in place');
+            }
+            if (!result.final[0].html.includes('A paragraph long enough') || result.badgeAfter) {
+                throw new Error(`Unexpected final component: ${JSON.stringify(result.final)}`);
+            }
+            if (result.afterUndo !== 0 || !result.sketchAfterUndo || result.afterRedo !== 1) {
+                throw new Error('The streamed insertion should undo and redo as one step');
+            }
+        });
+
+        await this.test('Streaming AI answers only time out when no data arrives', async () => {
+            const result = await this.page.evaluate(async () => {
+                const encoder = new TextEncoder();
+                // text/event-stream answer sending one event per interval, or stopping after the first
+                const streamingResponse = ({ interval, stallAfter = Infinity }, signal) => {
+                    const events = ['<div>', 'slow ', 'but ', 'steady', '</div>'].map(delta => `data: ${JSON.stringify({ delta })}\n\n`);
+                    events.push('data: [DONE]\n\n');
+                    let sent = 0;
+                    return {
+                        ok: true,
+                        status: 200,
+                        headers: { get: () => 'text/event-stream' },
+                        body: {
+                            getReader: () => ({
+                                read: () => new Promise((resolve, reject) => {
+                                    // Aborting the request errors its body, as fetch does
+                                    signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+                                    if (sent >= stallAfter) return;
+                                    setTimeout(() => {
+                                        const value = events[sent++];
+                                        resolve(value ? { done: false, value: encoder.encode(value) } : { done: true });
+                                    }, interval);
+                                }),
+                                cancel: () => Promise.resolve()
+                            })
+                        }
+                    };
+                };
+
+                const originalFetch = window.fetch;
+                const run = async (stream) => {
+                    window.fetch = async (url, { signal }) => streamingResponse(stream, signal);
+                    const provider = new CanvasMaker.HTTPAIProvider({ endpoint: '/make-real', stream: true, timeout: 100 });
+                    try {
+                        return { html: await provider.generate({ imageDataURL: 'data:,' }) };
+                    } catch (error) {
+                        return { code: error.code };
+                    } finally {
+                        window.fetch = originalFetch;
+                    }
+                };
+
+                return {
+                    // 6 x 50ms is longer than the timeout, but data never stops for 100ms
+                    steady: await run({ interval: 50 }),
+                    stalled: await run({ interval: 20, stallAfter: 1 })
+                };
+            });
+
+            if (result.steady.html !== '<div>slow but steady</div>') {
+                throw new Error(`A steady stream should finish past the timeout: ${JSON.stringify(result.steady)}`);
+            }
+            if (result.stalled.code !== 'timeout') {
+                throw new Error(`A stalled stream should time out: ${JSON.stringify(result.stalled)}`);
+            }
+        });
     }
 
     async cleanup() {